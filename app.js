@@ -4,9 +4,26 @@ const morgan = require('morgan');
 const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
+const { getLoggableUrl } = require('./utils/request');
 
 const app = express();
 
+// Proxies in front of the app, only the X-Forwarded-For hops they add are
+// trusted for req.ip. TRUST_PROXY takes a hop count, a subnet list, true or
+// false. Nothing is trusted unless it is set, clients could otherwise choose
+// their own IP
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+if (process.env.NODE_ENV === 'production' && process.env.TRUST_PROXY === undefined) {
+  throw new Error('TRUST_PROXY must be set in production (false when no proxy is deployed)');
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
@@ -24,6 +41,19 @@ mongoose.connect(process.env.MONGODB_URI, {
   } catch (err) {
     console.error('❌ Error loading models:', err);
   }
+
+  // Start background jobs (listing expiry...)
+  require('./jobs').startJobs();
+
+  // Alert saved searches about the listings this instance publishes
+  require('./utils/savedSearchAlerts').listenForPublishedListings();
+
+  // Push notifications, messages and staff alerts to connected clients
+  require('./utils/realtime').startRealtime();
+  require('./utils/staffAlerts').listenForStaffAlerts();
+
+  // Decline the pending offers of the listings this instance sells or archives
+  require('./utils/listingOffers').listenForClosedListings();
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
@@ -47,6 +77,8 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Tokens sent in the query string (SSE stream) must not reach the logs
+morgan.token('url', getLoggableUrl);
 app.use(morgan('dev'));
 
 // Serve static files
@@ -54,7 +86,7 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Add this middleware before defining routes to log all requests
 app.use((req, res, next) => {
-  console.log(`📥 ${req.method} ${req.originalUrl}`);
+  console.log(`📥 ${req.method} ${getLoggableUrl(req)}`);
   next();
 });
 
@@ -62,15 +94,33 @@ app.use((req, res, next) => {
 const userRoutes = require('./routes/userRoutes');
 const productRoutes = require('./routes/productRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const locationRoutes = require('./routes/locationRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const adRoutes = require('./routes/adRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const favoriteRoutes = require('./routes/favoriteRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const realtimeRoutes = require('./routes/realtimeRoutes');
+const offerRoutes = require('./routes/offerRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
 
 // Use routes
 app.use('/users', userRoutes);
 app.use('/products', productRoutes);
 app.use('/categories', categoryRoutes);
+app.use('/catalog', catalogRoutes);
+app.use('/locations', locationRoutes);
 app.use('/admin', adminRoutes);
 app.use('/ads', adRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/favorites', favoriteRoutes);
+app.use('/saved-searches', savedSearchRoutes);
+app.use('/conversations', conversationRoutes);
+app.use('/realtime', realtimeRoutes);
+app.use('/offers', offerRoutes);
+app.use('/reviews', reviewRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -0,0 +1,60 @@
+const nodemailer = require('nodemailer');
+
+// SMTP settings come from the environment so tests can point the transport
+// at a local SMTP catcher (e.g. MailHog on localhost:1025).
+const createTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    console.log('📭 SMTP_HOST not set, emails will be logged instead of sent');
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+const transporter = createTransport();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Moutouri <no-reply@moutouri.tn>';
+const CLIENT_URL = process.env.CLIENT_URL || 'https://www.moutouri.tn';
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Promise<Object>} - Nodemailer send info
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await transporter.sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (transporter.options.jsonTransport) {
+    console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+  } else {
+    console.log(`📧 Email sent to ${to}: ${info.messageId}`);
+  }
+
+  return info;
+};
+
+/**
+ * Build an absolute link to a page of the frontend
+ * @param {string} pathname - Path starting with a slash
+ * @returns {string} - Full URL
+ */
+const clientUrl = (pathname) => `${CLIENT_URL.replace(/\/$/, '')}${pathname}`;
+
+module.exports = {
+  transporter,
+  sendEmail,
+  clientUrl
+};
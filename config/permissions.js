@@ -0,0 +1,67 @@
+// Permissions granted to each role. '*' grants every permission.
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'products:read',
+    'products:verify',
+    'products:feature',
+    'reviews:moderate'
+  ],
+  ad_manager: [
+    'ads:read',
+    'ads:manage'
+  ],
+  admin: ['*']
+};
+
+// Every permission checked somewhere in the API
+const PERMISSIONS = [
+  'stats:read',
+  'products:read',
+  'products:verify',
+  'products:feature',
+  'products:update',
+  'products:delete',
+  'users:read',
+  'users:manage',
+  'roles:manage',
+  'ads:read',
+  'ads:manage',
+  'categories:manage',
+  'catalog:manage',
+  'reviews:moderate',
+  'settings:manage',
+  'audit:read'
+];
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * List the permissions of a role
+ * @param {string} role - Role name
+ * @returns {string[]} - Permissions, expanded when the role has '*'
+ */
+const getRolePermissions = (role) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') ? [...PERMISSIONS] : [...permissions];
+};
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - User document (needs role)
+ * @param {string} permission - Permission such as 'products:verify'
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const permissions = ROLE_PERMISSIONS[user.role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission
+};
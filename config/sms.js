@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// An SMS provider is any object with an async send(to, message) method.
+// Pick one with SMS_PROVIDER; real gateways register themselves below.
+
+// Development stand-in: print messages to the console
+const consoleProvider = {
+  send: async (to, message) => {
+    console.log(`📱 SMS to ${to}: ${message}`);
+    return { provider: 'console' };
+  }
+};
+
+// Development stand-in: append messages to a file so tests can read them back
+const fileProvider = {
+  send: async (to, message) => {
+    const logFile = process.env.SMS_LOG_FILE || path.join('logs', 'sms.log');
+    await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+    await fs.promises.appendFile(
+      logFile,
+      JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + '\n'
+    );
+    return { provider: 'file', logFile };
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+/**
+ * Register an SMS provider under a name usable in SMS_PROVIDER
+ * @param {string} name - Provider name
+ * @param {Object} provider - Object with an async send(to, message) method
+ */
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send(to, message)`);
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Phone number
+ * @param {string} message - Text content
+ * @returns {Promise<Object>} - Provider response
+ */
+const sendSms = async (to, message) => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return provider.send(to, message);
+};
+
+module.exports = {
+  registerSmsProvider,
+  sendSms
+};
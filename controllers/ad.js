@@ -1,6 +1,7 @@
 const Ad = require('../models/ad');
 const mongoose = require('mongoose');
 const { cloudinary } = require('../config/cloudinary');
+const { snapshot, recordAudit } = require('../utils/audit');
 const fs = require('fs');
 const path = require('path');
 
@@ -165,6 +166,13 @@ exports.createAd = async (req, res) => {
     
     // Create the ad with error handling
     const ad = await Ad.create(adData);
+
+    await recordAudit(req, {
+      action: 'ad.create',
+      targetType: 'Ad',
+      targetId: ad._id,
+      after: ad
+    });
     
     res.status(201).json({
       success: true,
@@ -245,10 +253,19 @@ exports.updateAd = async (req, res) => {
     }
     
     // Update the ad
+    const before = snapshot(ad);
     const updatedAd = await Ad.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
     });
+
+    await recordAudit(req, {
+      action: 'ad.update',
+      targetType: 'Ad',
+      targetId: ad._id,
+      before,
+      after: updatedAd
+    });
     
     return res.status(200).json({
       success: true,
@@ -294,6 +311,13 @@ exports.deleteAd = async (req, res) => {
     
     // Delete the ad from the database
     await Ad.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, {
+      action: 'ad.delete',
+      targetType: 'Ad',
+      targetId: ad._id,
+      before: ad
+    });
     
     return res.status(200).json({
       success: true,
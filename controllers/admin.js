@@ -4,6 +4,10 @@ const User = require('../models/user');
 const Product = require('../models/product');
 const Category = require('../models/category');
 const Ad = require('../models/ad');
+const LoginAttempt = require('../models/loginAttempt');
+const Setting = require('../models/setting');
+const { ROLES, getRolePermissions } = require('../config/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
 const mongoose = require('mongoose');
 
 // Get admin dashboard statistics
@@ -29,7 +33,7 @@ exports.getAdminStats = async (req, res) => {
       .limit(5)
       .populate('category', 'name')
       .populate('user', 'firstName lastName email image') 
-      .select('_id title price images isVerified createdAt category user');
+      .select('_id title price images status isVerified createdAt category user');
     
       const users = await User.find()
       .sort({ createdAt: -1 })
@@ -66,8 +70,8 @@ exports.getAdminStats = async (req, res) => {
     ]);
     
     // Active vs Pending listings
-    const activeListings = await Product.countDocuments({ isVerified: true });
-    const pendingListings = await Product.countDocuments({ isVerified: false });
+    const activeListings = await Product.countDocuments({ status: 'published' });
+    const pendingListings = await Product.countDocuments({ status: 'pending_review' });
     
     // Response with all stats
     res.status(200).json({
@@ -136,7 +140,7 @@ exports.getAllProducts = async (req, res) => {
       .skip(skip)
       .limit(Number(limit))
       .populate('category', 'name')
-      .populate('publisher', 'firstName lastName email');
+      .populate('user', 'firstName lastName email');
     
     const total = await Product.countDocuments(filter);
     
@@ -178,11 +182,28 @@ exports.verifyProduct = async (req, res) => {
       });
     }
     
+    // Pending listings are approved or rejected through the moderation queue
+    if (product.status === 'pending_review') {
+      return res.status(409).json({
+        success: false,
+        code: 'MODERATION_REQUIRED',
+        message: 'Pending listings are reviewed through the moderation queue'
+      });
+    }
+    
+    const before = snapshot(product);
     product.isVerified = isVerified;
     product.verifiedAt = isVerified ? Date.now() : null;
     product.verifiedBy = isVerified ? req.user.id : null;
     
     await product.save();
+    await recordAudit(req, {
+      action: isVerified ? 'product.verify' : 'product.unverify',
+      targetType: 'Product',
+      targetId: product._id,
+      before,
+      after: product
+    });
     
     res.status(200).json({
       success: true,
@@ -219,9 +240,17 @@ exports.featureProduct = async (req, res) => {
       });
     }
     
+    const before = snapshot(product);
     product.isFeatured = isFeatured;
     
     await product.save();
+    await recordAudit(req, {
+      action: isFeatured ? 'product.feature' : 'product.unfeature',
+      targetType: 'Product',
+      targetId: product._id,
+      before,
+      after: product
+    });
     
     res.status(200).json({
       success: true,
@@ -250,6 +279,12 @@ exports.deleteProduct = async (req, res) => {
     }
     
     await product.deleteOne();
+    await recordAudit(req, {
+      action: 'product.delete',
+      targetType: 'Product',
+      targetId: product._id,
+      before: product
+    });
     
     res.status(200).json({
       success: true,
@@ -264,17 +299,20 @@ exports.deleteProduct = async (req, res) => {
   }
 };
 
+// List roles with their permissions
+exports.getRoles = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    roles: ROLES.map(role => ({
+      role,
+      permissions: getRolePermissions(role)
+    }))
+  });
+};
+
 // Get all users (admin only)
 exports.getAllUsers = async (req, res) => {
   try {
-    // Verify if the user is an admin
-      if (req.user.role === 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
     const users = await User.find().select('-password');
 
     res.status(200).json({
@@ -292,41 +330,52 @@ exports.getAllUsers = async (req, res) => {
   }
 };
 
-// Update user role (admin only)
+// Update user role
 exports.updateUserRole = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { isAdmin } = req.body;
+    let { role, isAdmin } = req.body;
+
+    // Older clients send an isAdmin flag instead of a role
+    if (role === undefined && typeof isAdmin === 'boolean') {
+      role = isAdmin ? 'admin' : 'user';
+    }
 
-    // Verify if the user is an admin
-      if (req.user.role === 'admin') {
-      return res.status(403).json({
+    if (!role || !ROLES.includes(role)) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: `Role must be one of: ${ROLES.join(', ')}`
       });
     }
 
-    // Check if isAdmin is provided
-    if (isAdmin === undefined) {
+    if (userId === req.user._id.toString() && role !== req.user.role) {
       return res.status(400).json({
         success: false,
-        message: 'Admin status is required'
+        message: 'You cannot change your own role'
       });
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { isAdmin },
-      { new: true }
-    ).select('-password');
+    const user = await User.findById(userId).select('-password');
 
-    if (!updatedUser) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    const before = snapshot(user);
+    user.role = role;
+    const updatedUser = await user.save();
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: updatedUser
+    });
+
     res.status(200).json({
       success: true,
       message: 'User role updated successfully',
@@ -342,4 +391,111 @@ exports.updateUserRole = async (req, res) => {
   }
 };
 
+// Unlock an account locked after failed logins (admin only)
+exports.unlockUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await LoginAttempt.clear(LoginAttempt.emailKey(user.email));
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.deletedCount > 0
+        ? 'User account unlocked successfully'
+        : 'User account was not locked'
+    });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: error.message
+    });
+  }
+};
+
+// Get security settings (admin only)
+exports.getSecuritySettings = async (req, res) => {
+  try {
+    const requireAdminTwoFactor = await Setting.getValue('security.requireAdminTwoFactor', false);
+
+    res.status(200).json({
+      success: true,
+      settings: { requireAdminTwoFactor }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security settings',
+      error: error.message
+    });
+  }
+};
+
+// Update security settings (admin only)
+exports.updateSecuritySettings = async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireAdminTwoFactor must be a boolean value'
+      });
+    }
+
+    // Avoid locking yourself out of the admin area
+    if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+
+    const previous = await Setting.getValue('security.requireAdminTwoFactor', false);
+    await Setting.setValue('security.requireAdminTwoFactor', requireAdminTwoFactor, req.user._id);
+
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'Setting',
+      targetId: 'security.requireAdminTwoFactor',
+      before: { value: previous },
+      after: { value: requireAdminTwoFactor }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Two-factor authentication is now ${requireAdminTwoFactor ? 'mandatory' : 'optional'} for admins`,
+      settings: { requireAdminTwoFactor }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update security settings',
+      error: error.message
+    });
+  }
+};
+
 // Other admin controller functions would go here 
\ No newline at end of file
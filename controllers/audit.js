@@ -0,0 +1,149 @@
+const AuditLog = require('../models/auditLog');
+const mongoose = require('mongoose');
+
+// Maximum number of rows in a CSV export
+const EXPORT_LIMIT = 10000;
+
+// Build the query filter shared by the list and the export
+const buildAuditFilter = ({ actor, action, targetType, targetId, from, to }) => {
+  const filter = {};
+
+  // Query strings can also parse to arrays or objects, only plain values filter
+  Object.entries({ actor, action, targetType, targetId, from, to }).forEach(([name, value]) => {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new Error(`Invalid ${name} filter`);
+    }
+  });
+
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) {
+      throw new Error('Invalid actor ID');
+    }
+    filter.actor = actor;
+  }
+
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate.getTime())) throw new Error('Invalid from date');
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate.getTime())) throw new Error('Invalid to date');
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  return filter;
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value.toHexString === 'function') text = value.toHexString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  // Spreadsheets run cells starting like a formula, quote them as text
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @desc    Query the audit log
+// @route   GET /api/admin/audit-logs
+// @access  Private (audit:read)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    let filter;
+    try {
+      filter = buildAuditFilter(req.query);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'firstName lastName email'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      logs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export the audit log as CSV
+// @route   GET /api/admin/audit-logs/export
+// @access  Private (audit:read)
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    let filter;
+    try {
+      filter = buildAuditFilter(req.query);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    const columns = ['createdAt', 'actor', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'ip', 'userAgent', 'changes'];
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(columns.join(',') + '\n');
+
+    const cursor = AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean()
+      .cursor();
+
+    for await (const log of cursor) {
+      res.write(columns.map(column => csvValue(log[column])).join(',') + '\n');
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit logs:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit logs',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,469 @@
+const Brand = require('../models/brand');
+const MotorcycleModel = require('../models/motorcycleModel');
+const Product = require('../models/product');
+const mongoose = require('mongoose');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { normalizeKey } = require('../utils/text');
+
+// Aliases arrive as an array or a comma separated string
+const parseAliases = (aliases) => {
+  const list = Array.isArray(aliases) ? aliases : String(aliases || '').split(',');
+  return [...new Set(list.map(alias => String(alias).trim()).filter(Boolean))];
+};
+
+const parseOptionalNumber = (value) => (value === '' || value === null ? null : Number(value));
+
+// Name or alias already used by another entry of the same scope
+const findKeyConflict = (Model, scope, excludeId, name, aliases) => {
+  const keys = [name, ...aliases].map(normalizeKey).filter(Boolean);
+  const filter = { ...scope, keys: { $in: keys } };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Model.findOne(filter).select('name');
+};
+
+// Brands are addressed by id or slug
+const findBrandByParam = (param) => (mongoose.Types.ObjectId.isValid(param)
+  ? Brand.findById(param)
+  : Brand.findOne({ slug: param }));
+
+// @desc    List catalog brands
+// @route   GET /api/catalog/brands
+// @access  Public
+exports.getBrands = async (req, res) => {
+  try {
+    const filter = { isActive: true };
+
+    if (req.query.q) {
+      filter.keys = { $regex: `^${normalizeKey(req.query.q)}` };
+    }
+
+    const brands = await Brand.find(filter)
+      .select('name slug aliases logo country')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: brands.length,
+      brands
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch brands',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the models of a brand, optionally those produced in a given year
+// @route   GET /api/catalog/brands/:brandId/models
+// @access  Public
+exports.getBrandModels = async (req, res) => {
+  try {
+    const brand = await findBrandByParam(req.params.brandId);
+
+    if (!brand || !brand.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const filter = { brand: brand._id, isActive: true };
+    const year = Number(req.query.year);
+
+    if (req.query.year && Number.isInteger(year)) {
+      filter.$and = [
+        { $or: [{ yearFrom: null }, { yearFrom: { $lte: year } }] },
+        { $or: [{ yearTo: null }, { yearTo: { $gte: year } }] }
+      ];
+    }
+
+    const models = await MotorcycleModel.find(filter)
+      .select('name slug aliases yearFrom yearTo engineCc')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      brand: { _id: brand._id, name: brand.name, slug: brand.slug },
+      count: models.length,
+      models
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch models',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a brand
+// @route   POST /api/catalog/brands
+// @access  Private (catalog:manage)
+exports.createBrand = async (req, res) => {
+  try {
+    const { name, logo, country } = req.body;
+    const aliases = parseAliases(req.body.aliases);
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a brand name'
+      });
+    }
+
+    const conflict = await findKeyConflict(Brand, {}, null, name, aliases);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: `Name or alias already used by ${conflict.name}`
+      });
+    }
+
+    const brand = await Brand.create({ name, aliases, logo, country });
+
+    await recordAudit(req, {
+      action: 'catalog.brand.create',
+      targetType: 'Brand',
+      targetId: brand._id,
+      after: brand
+    });
+
+    res.status(201).json({
+      success: true,
+      brand
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A brand with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create brand',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a brand
+// @route   PUT /api/catalog/brands/:brandId
+// @access  Private (catalog:manage)
+exports.updateBrand = async (req, res) => {
+  try {
+    const brand = await findBrandByParam(req.params.brandId);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const before = snapshot(brand);
+    const { name, logo, country, isActive } = req.body;
+
+    if (name) brand.name = name;
+    if (req.body.aliases !== undefined) brand.aliases = parseAliases(req.body.aliases);
+    if (logo !== undefined) brand.logo = logo;
+    if (country !== undefined) brand.country = country;
+    if (isActive !== undefined) brand.isActive = isActive === 'true' || isActive === true;
+
+    const conflict = await findKeyConflict(Brand, {}, brand._id, brand.name, brand.aliases);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: `Name or alias already used by ${conflict.name}`
+      });
+    }
+
+    await brand.save();
+
+    // Listings linked to the brand follow its canonical name, and are found
+    // by it in search
+    if (brand.name !== before.name) {
+      await Product.updateMany({ catalogBrand: brand._id }, { $set: { brand: brand.name } });
+      await Product.reindexSearchFields({ catalogBrand: brand._id });
+    }
+
+    await recordAudit(req, {
+      action: 'catalog.brand.update',
+      targetType: 'Brand',
+      targetId: brand._id,
+      before,
+      after: brand
+    });
+
+    res.status(200).json({
+      success: true,
+      brand
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A brand with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update brand',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a brand without models or listings
+// @route   DELETE /api/catalog/brands/:brandId
+// @access  Private (catalog:manage)
+exports.deleteBrand = async (req, res) => {
+  try {
+    const brand = await findBrandByParam(req.params.brandId);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const [modelsCount, productsCount] = await Promise.all([
+      MotorcycleModel.countDocuments({ brand: brand._id }),
+      Product.countDocuments({ catalogBrand: brand._id })
+    ]);
+
+    if (modelsCount > 0 || productsCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete brand as it has ${modelsCount} models and ${productsCount} products, deactivate it instead`
+      });
+    }
+
+    await brand.deleteOne();
+
+    await recordAudit(req, {
+      action: 'catalog.brand.delete',
+      targetType: 'Brand',
+      targetId: brand._id,
+      before: brand
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Brand deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete brand',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a model to a brand
+// @route   POST /api/catalog/brands/:brandId/models
+// @access  Private (catalog:manage)
+exports.createModel = async (req, res) => {
+  try {
+    const brand = await findBrandByParam(req.params.brandId);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const { name, yearFrom, yearTo, engineCc } = req.body;
+    const aliases = parseAliases(req.body.aliases);
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a model name'
+      });
+    }
+
+    const conflict = await findKeyConflict(MotorcycleModel, { brand: brand._id }, null, name, aliases);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: `Name or alias already used by ${conflict.name}`
+      });
+    }
+
+    const model = await MotorcycleModel.create({
+      brand: brand._id,
+      name,
+      aliases,
+      yearFrom: parseOptionalNumber(yearFrom),
+      yearTo: parseOptionalNumber(yearTo),
+      engineCc: parseOptionalNumber(engineCc)
+    });
+
+    await recordAudit(req, {
+      action: 'catalog.model.create',
+      targetType: 'MotorcycleModel',
+      targetId: model._id,
+      after: model
+    });
+
+    res.status(201).json({
+      success: true,
+      model
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This brand already has a model with this name'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create model',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a model
+// @route   PUT /api/catalog/models/:modelId
+// @access  Private (catalog:manage)
+exports.updateModel = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.modelId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID'
+      });
+    }
+
+    const model = await MotorcycleModel.findById(req.params.modelId);
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    const before = snapshot(model);
+    const { name, yearFrom, yearTo, engineCc, isActive } = req.body;
+
+    if (name) model.name = name;
+    if (req.body.aliases !== undefined) model.aliases = parseAliases(req.body.aliases);
+    if (yearFrom !== undefined) model.yearFrom = parseOptionalNumber(yearFrom);
+    if (yearTo !== undefined) model.yearTo = parseOptionalNumber(yearTo);
+    if (engineCc !== undefined) model.engineCc = parseOptionalNumber(engineCc);
+    if (isActive !== undefined) model.isActive = isActive === 'true' || isActive === true;
+
+    const conflict = await findKeyConflict(MotorcycleModel, { brand: model.brand }, model._id, model.name, model.aliases);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: `Name or alias already used by ${conflict.name}`
+      });
+    }
+
+    await model.save();
+
+    if (model.name !== before.name) {
+      await Product.updateMany({ catalogModel: model._id }, { $set: { model: model.name } });
+      await Product.reindexSearchFields({ catalogModel: model._id });
+    }
+
+    await recordAudit(req, {
+      action: 'catalog.model.update',
+      targetType: 'MotorcycleModel',
+      targetId: model._id,
+      before,
+      after: model
+    });
+
+    res.status(200).json({
+      success: true,
+      model
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This brand already has a model with this name'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update model',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a model without listings
+// @route   DELETE /api/catalog/models/:modelId
+// @access  Private (catalog:manage)
+exports.deleteModel = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.modelId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID'
+      });
+    }
+
+    const model = await MotorcycleModel.findById(req.params.modelId);
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    const productsCount = await Product.countDocuments({ catalogModel: model._id });
+
+    if (productsCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete model as it is associated with ${productsCount} products, deactivate it instead`
+      });
+    }
+
+    await model.deleteOne();
+
+    await recordAudit(req, {
+      action: 'catalog.model.delete',
+      targetType: 'MotorcycleModel',
+      targetId: model._id,
+      before: model
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Model deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete model',
+      error: error.message
+    });
+  }
+};
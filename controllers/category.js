@@ -13,6 +13,64 @@ console.log('Category model resolved:', !!Category);
 const Product = require('../models/product');
 const mongoose = require('mongoose');
 const path = require('path');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { getDefinitionErrors, getCategoryAttributes } = require('../utils/categoryAttributes');
+const { parsePagination, paginate } = require('../utils/pagination');
+const {
+    PRODUCT_LIST_POPULATE,
+    PRODUCT_STAFF_FIELDS,
+    buildProductFilter,
+    productPageResponse
+} = require('../utils/productQuery');
+
+// Read parent and attributes from a (possibly multipart) request body
+const readHierarchyInput = async (body, category = null) => {
+    const input = {};
+
+    if (body.parent !== undefined) {
+        const parentId = body.parent === '' || body.parent === 'null' ? null : body.parent;
+
+        if (parentId) {
+            if (!mongoose.Types.ObjectId.isValid(parentId)) {
+                return { error: 'Invalid parent category' };
+            }
+
+            const parent = await Category.findById(parentId).select('ancestors');
+            if (!parent) {
+                return { error: 'Parent category not found' };
+            }
+            if (category && (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id)))) {
+                return { error: 'A category cannot be moved under itself' };
+            }
+        }
+
+        input.parent = parentId;
+    }
+
+    if (body.attributes !== undefined) {
+        let attributes = body.attributes;
+
+        if (typeof attributes === 'string') {
+            try {
+                attributes = JSON.parse(attributes);
+            } catch (error) {
+                return { error: 'attributes must be a JSON array' };
+            }
+        }
+        if (!Array.isArray(attributes)) {
+            return { error: 'attributes must be a JSON array' };
+        }
+
+        const definitionErrors = getDefinitionErrors(attributes);
+        if (definitionErrors.length > 0) {
+            return { error: definitionErrors.join(', ') };
+        }
+
+        input.attributes = attributes;
+    }
+
+    return input;
+};
 
 // @desc    Create a new category
 // @route   POST /api/categories
@@ -44,17 +102,35 @@ exports.createCategory = async (req, res) => {
             });
         }
 
+        const hierarchy = await readHierarchyInput(req.body);
+
+        if (hierarchy.error) {
+            return res.status(400).json({
+                success: false,
+                message: hierarchy.error
+            });
+        }
+
         // Create category
         const category = new Category({
             name,
             slug,
             description,
             image,
+            parent: hierarchy.parent || null,
+            attributes: hierarchy.attributes || [],
             isActive: true
         });
 
         const newCategory = await category.save();
 
+        await recordAudit(req, {
+            action: 'category.create',
+            targetType: 'Category',
+            targetId: newCategory._id,
+            after: newCategory
+        });
+
         res.status(201).json({
             success: true,
             message: 'Category created successfully',
@@ -70,6 +146,13 @@ exports.createCategory = async (req, res) => {
             });
         }
 
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to create category',
@@ -96,8 +179,21 @@ exports.updateCategory = async (req, res) => {
             });
         }
 
+        const hierarchy = await readHierarchyInput(req.body, category);
+
+        if (hierarchy.error) {
+            return res.status(400).json({
+                success: false,
+                message: hierarchy.error
+            });
+        }
+
+        const before = snapshot(category);
+
         // Update fields
         if (name) category.name = name;
+        if (hierarchy.parent !== undefined) category.parent = hierarchy.parent;
+        if (hierarchy.attributes !== undefined) category.attributes = hierarchy.attributes;
         if (description !== undefined) category.description = description;
         if (req.file) category.image = `/uploads/${req.file.filename}`;
         if (isActive !== undefined) category.isActive = isActive === "true" || isActive === true;
@@ -109,14 +205,34 @@ exports.updateCategory = async (req, res) => {
 
         category.updatedAt = Date.now();
 
+        const parentChanged = category.isModified('parent');
         const updatedCategory = await category.save();
 
+        if (parentChanged) {
+            await Category.updateDescendantAncestors(updatedCategory);
+        }
+
+        await recordAudit(req, {
+            action: 'category.update',
+            targetType: 'Category',
+            targetId: updatedCategory._id,
+            before,
+            after: updatedCategory
+        });
+
         res.status(200).json({
             success: true,
             message: 'Category updated successfully',
             category: updatedCategory
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to update category',
@@ -141,6 +257,15 @@ exports.deleteCategory = async (req, res) => {
             });
         }
 
+        const childrenCount = await Category.countDocuments({ parent: categoryId });
+
+        if (childrenCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot delete category as it has ${childrenCount} subcategories`
+            });
+        }
+
         // Check if there are products using this category
         const productsCount = await Product.countDocuments({ category: categoryId });
 
@@ -153,6 +278,13 @@ exports.deleteCategory = async (req, res) => {
 
         await category.deleteOne();
 
+        await recordAudit(req, {
+            action: 'category.delete',
+            targetType: 'Category',
+            targetId: category._id,
+            before: category
+        });
+
         res.status(200).json({
             success: true,
             message: 'Category deleted successfully'
@@ -201,6 +333,82 @@ exports.getAllCategories = async (req, res) => {
     }
 };
 
+// @desc    Get the active categories as a tree
+// @route   GET /api/categories/tree
+// @access  Public
+exports.getCategoryTree = async (req, res) => {
+    try {
+        const categories = await Category.find({ isActive: true })
+            .select('name slug description image parent')
+            .sort('name')
+            .lean();
+
+        const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+        const tree = [];
+
+        nodes.forEach(node => {
+            const parent = node.parent && nodes.get(node.parent.toString());
+            // Children of an inactive category are hidden with it
+            if (parent) {
+                parent.children.push(node);
+            } else if (!node.parent) {
+                tree.push(node);
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            count: categories.length,
+            categories: tree
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch category tree',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the attribute schema of a category, including inherited attributes
+// @route   GET /api/categories/:id/attributes
+// @access  Public
+exports.getCategoryAttributeSchema = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const category = await Category.findOne({
+            _id: mongoose.Types.ObjectId.isValid(id) ? id : null,
+            isActive: true
+        });
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const { attributes } = await getCategoryAttributes(category);
+
+        res.status(200).json({
+            success: true,
+            category: {
+                id: category._id,
+                name: category.name,
+                slug: category.slug
+            },
+            attributes
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch category attributes',
+            error: error.message
+        });
+    }
+};
+
 // @desc    Get a single category by ID
 // @route   GET /api/categories/:id
 // @access  Public
@@ -290,21 +498,29 @@ exports.getCategoryProducts = async (req, res) => {
         }
 
         // Get products for this category
-        const products = await Product.find({
-            category: category._id,
-            isActive: true
-        }).populate('publisher', 'firstName lastName');
+        const pagination = parsePagination(req.query);
 
-        res.status(200).json({
-            success: true,
+        if (pagination.error) {
+            return res.status(400).json({
+                success: false,
+                message: pagination.error
+            });
+        }
+
+        // Listings of subcategories are included, the other listing filters apply
+        const query = await buildProductFilter({ ...req.query, category: category._id.toString() });
+        const result = await paginate(Product, query, pagination, {
+            populate: PRODUCT_LIST_POPULATE,
+            select: PRODUCT_STAFF_FIELDS
+        });
+
+        res.status(200).json(productPageResponse(result, {
             category: {
                 id: category._id,
                 name: category.name,
                 slug: category.slug
-            },
-            count: products.length,
-            products
-        });
+            }
+        }));
     } catch (error) {
         res.status(500).json({
             success: false,
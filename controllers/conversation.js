@@ -0,0 +1,383 @@
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+const Product = require('../models/product');
+const User = require('../models/user');
+const mongoose = require('mongoose');
+const { PRODUCT_SORTS, parsePagination, paginate } = require('../utils/pagination');
+const { PUBLIC_STATUS } = require('../utils/listingLifecycle');
+const { notifyUser } = require('../utils/notify');
+const { publishToUser } = require('../utils/realtime');
+const { clientUrl } = require('../config/mailer');
+const { escapeHtml } = require('../utils/text');
+
+// Conversations with the latest message first
+const CONVERSATION_SORTS = {
+  recent: { field: 'lastMessage.at', direction: -1, type: 'date' }
+};
+
+// Messages newest first, the cursor loads older ones
+const MESSAGE_SORTS = { newest: PRODUCT_SORTS.newest };
+
+const PARTICIPANT_FIELDS = 'firstName lastName image';
+
+const UNREAD_FIELDS = { buyer: 'buyerUnread', seller: 'sellerUnread' };
+const OTHER_ROLE = { buyer: 'seller', seller: 'buyer' };
+
+const readMessageBody = (body) => (typeof body === 'string' ? body.trim() : '');
+
+// Conversation of the current user, or the error response to send
+const findOwnConversation = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid conversation ID'
+    });
+    return null;
+  }
+
+  const conversation = await Conversation.findById(req.params.id);
+
+  if (!conversation || !conversation.roleOf(req.user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+    return null;
+  }
+
+  return conversation;
+};
+
+/**
+ * Add a message to a conversation, update its summary and the unread count
+ * of the recipient, and notify them
+ * @param {Object} conversation - Conversation document
+ * @param {Object} sender - User document
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} - The message
+ */
+const sendMessage = async (conversation, sender, body) => {
+  const role = conversation.roleOf(sender._id);
+  const recipientRole = OTHER_ROLE[role];
+  const isFirstMessage = !conversation.lastMessage || !conversation.lastMessage.at;
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    body
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: { lastMessage: { body: message.body, sender: sender._id, at: message.createdAt } },
+      $inc: { [UNREAD_FIELDS[recipientRole]]: 1 }
+    }
+  );
+
+  // Both sides, so the sender's other devices show it too
+  await Promise.all([conversation.buyer, conversation.seller].map(userId =>
+    publishToUser(userId, 'message', { conversationId: conversation._id, message })));
+
+  const product = await Product.findById(conversation.product).select('title');
+  const title = product ? product.title : 'votre annonce';
+  const conversationUrl = clientUrl(`/messages/${conversation._id}`);
+
+  // Email only for a new conversation, later messages are in-app
+  await notifyUser(conversation[recipientRole], {
+    type: 'new_message',
+    title: `Nouveau message de ${sender.firstName} : "${title}"`,
+    body: message.body.slice(0, 140),
+    data: { conversationId: conversation._id, productId: conversation.product, messageId: message._id },
+    email: isFirstMessage
+      ? {
+        subject: `Moutouri - Nouveau message à propos de "${title}"`,
+        text: `${sender.firstName} vous a envoyé un message à propos de "${title}" :\n\n${message.body}\n\nRépondre : ${conversationUrl}`,
+        html: `<p>${escapeHtml(sender.firstName)} vous a envoyé un message à propos de "${escapeHtml(title)}" :</p><blockquote>${escapeHtml(message.body)}</blockquote><p><a href="${conversationUrl}">Répondre</a></p>`
+      }
+      : null
+  });
+
+  return message;
+};
+
+// @desc    Get the conversations of the current user
+// @route   GET /api/conversations
+// @access  Private
+exports.getConversations = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { sorts: CONVERSATION_SORTS, defaultSort: 'recent' });
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const filter = { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+    if (req.query.role === 'buyer' || req.query.role === 'seller') {
+      filter.$or = [{ [req.query.role]: req.user._id }];
+    }
+
+    const result = await paginate(Conversation, filter, pagination, {
+      populate: [
+        ['product', 'title price images status'],
+        ['buyer', PARTICIPANT_FIELDS],
+        ['seller', PARTICIPANT_FIELDS]
+      ]
+    });
+
+    const conversations = result.items.map(conversation => {
+      const role = conversation.roleOf(req.user._id);
+      return {
+        ...conversation.toObject(),
+        role,
+        unreadCount: conversation[UNREAD_FIELDS[role]]
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: conversations.length,
+      conversations,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the number of unread messages and conversations
+// @route   GET /api/conversations/unread-count
+// @access  Private
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const [counts] = await Conversation.aggregate([
+      { $match: { $or: [{ buyer: req.user._id }, { seller: req.user._id }] } },
+      { $project: { unread: { $cond: [{ $eq: ['$buyer', req.user._id] }, '$buyerUnread', '$sellerUnread'] } } },
+      { $match: { unread: { $gt: 0 } } },
+      { $group: { _id: null, messages: { $sum: '$unread' }, conversations: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      unreadMessages: counts ? counts.messages : 0,
+      unreadConversations: counts ? counts.conversations : 0
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Contact the seller of a listing, reusing the existing conversation
+// @route   POST /api/conversations
+// @access  Private
+exports.startConversation = async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const body = readMessageBody(req.body.body);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    if (!body) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot be empty'
+      });
+    }
+
+    const product = await Product.findOne({ _id: productId, status: PUBLIC_STATUS }).select('user');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot message yourself about your own listing'
+      });
+    }
+
+    if (await User.isBlockedBetween(req.user._id, product.user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED',
+        message: 'You cannot message this user'
+      });
+    }
+
+    // Check the message first so an invalid one does not leave an empty conversation
+    await new Message({ sender: req.user._id, body }).validate(['body']);
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { product: product._id, buyer: req.user._id },
+      { $setOnInsert: { product: product._id, buyer: req.user._id, seller: product.user } },
+      { upsert: true, new: true }
+    );
+
+    const message = await sendMessage(conversation, req.user, body);
+
+    res.status(201).json({
+      success: true,
+      conversationId: conversation._id,
+      message
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the messages of a conversation, newest first
+// @route   GET /api/conversations/:id/messages
+// @access  Private
+exports.getMessages = async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const pagination = parsePagination(req.query, { sorts: MESSAGE_SORTS });
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const result = await paginate(Message, { conversation: conversation._id }, pagination);
+
+    res.status(200).json({
+      success: true,
+      count: result.items.length,
+      messages: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch messages',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a message in a conversation
+// @route   POST /api/conversations/:id/messages
+// @access  Private
+exports.postMessage = async (req, res) => {
+  try {
+    const body = readMessageBody(req.body.body);
+
+    if (!body) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot be empty'
+      });
+    }
+
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const otherId = conversation[OTHER_ROLE[conversation.roleOf(req.user._id)]];
+
+    if (await User.isBlockedBetween(req.user._id, otherId)) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED',
+        message: 'You cannot message this user'
+      });
+    }
+
+    const message = await sendMessage(conversation, req.user, body);
+
+    res.status(201).json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark the messages received in a conversation as read
+// @route   POST /api/conversations/:id/read
+// @access  Private
+exports.markConversationRead = async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const role = conversation.roleOf(req.user._id);
+    const readAt = new Date();
+
+    // Read receipts for the sender
+    const result = await Message.updateMany(
+      { conversation: conversation._id, sender: { $ne: req.user._id }, readAt: null },
+      { $set: { readAt } }
+    );
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { [UNREAD_FIELDS[role]]: 0 } }
+    );
+
+    if (result.modifiedCount > 0) {
+      await publishToUser(conversation[OTHER_ROLE[role]], 'messages_read', {
+        conversationId: conversation._id,
+        readAt
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      readCount: result.modifiedCount,
+      readAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark conversation as read',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,282 @@
+const Favorite = require('../models/favorite');
+const Product = require('../models/product');
+const mongoose = require('mongoose');
+const { PRODUCT_SORTS, parsePagination, paginate } = require('../utils/pagination');
+const { PUBLIC_STATUS } = require('../utils/listingLifecycle');
+
+// Saved listings, most recently saved first
+const FAVORITE_SORTS = { newest: PRODUCT_SORTS.newest };
+
+// Why a saved listing is no longer shown
+const UNAVAILABLE_REASONS = {
+  reserved: 'reserved',
+  sold: 'sold',
+  expired: 'expired',
+  archived: 'removed',
+  rejected: 'removed',
+  draft: 'unavailable',
+  pending_review: 'unavailable'
+};
+
+/**
+ * Read the optional price alert of a saved listing
+ * @param {Object} body - Request body
+ * @returns {Object} - { value } (undefined when not sent, null to remove it) or { error }
+ */
+const readPriceAlert = (body = {}) => {
+  if (body.priceAlertBelow === undefined) return { value: undefined };
+  if (body.priceAlertBelow === null || body.priceAlertBelow === '') return { value: null };
+
+  const value = Number(body.priceAlertBelow);
+  if (!Number.isFinite(value) || value < 0) {
+    return { error: 'priceAlertBelow must be a positive number' };
+  }
+  return { value };
+};
+
+// @desc    Get the listings saved by the current user
+// @route   GET /api/favorites
+// @access  Private
+exports.getFavorites = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { sorts: FAVORITE_SORTS });
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const result = await paginate(Favorite, { user: req.user._id }, pagination, {
+      populate: [['product', 'title price images location governorate status year mileageKm brand model favoritesCount createdAt']]
+    });
+
+    // Listings that disappeared only keep their title and the reason
+    const favorites = result.items.map(favorite => {
+      const product = favorite.product;
+
+      const saved = {
+        _id: favorite._id,
+        savedAt: favorite.createdAt,
+        priceAtSave: favorite.priceAtSave,
+        priceAlertBelow: favorite.priceAlertBelow
+      };
+
+      if (!product) {
+        return { ...saved, available: false, reason: 'deleted', product: null };
+      }
+
+      if (product.status !== PUBLIC_STATUS) {
+        return {
+          ...saved,
+          available: false,
+          reason: UNAVAILABLE_REASONS[product.status] || 'unavailable',
+          product: { _id: product._id, title: product.title }
+        };
+      }
+
+      return { ...saved, available: true, reason: null, product };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: favorites.length,
+      favorites,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch favorites',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the ids of the listings saved by the current user
+// @route   GET /api/favorites/ids
+// @access  Private
+exports.getFavoriteIds = async (req, res) => {
+  try {
+    const productIds = await Favorite.find({ user: req.user._id }).distinct('product');
+
+    res.status(200).json({
+      success: true,
+      count: productIds.length,
+      productIds
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch favorites',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Save a listing
+// @route   POST /api/favorites/:productId
+// @access  Private
+exports.addFavorite = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const priceAlert = readPriceAlert(req.body);
+
+    if (priceAlert.error) {
+      return res.status(400).json({
+        success: false,
+        message: priceAlert.error
+      });
+    }
+
+    const product = await Product.findOne({ _id: productId, status: PUBLIC_STATUS }).select('_id price');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const saveFavorite = () => Favorite.updateOne(
+      { user: req.user._id, product: product._id },
+      {
+        $setOnInsert: { user: req.user._id, product: product._id, priceAtSave: product.price },
+        ...(priceAlert.value !== undefined ? { $set: { priceAlertBelow: priceAlert.value } } : {})
+      },
+      { upsert: true }
+    );
+
+    let result;
+    try {
+      result = await saveFavorite();
+    } catch (saveError) {
+      // A parallel request saved it first, this one finds it already saved
+      if (saveError.code !== 11000) throw saveError;
+      result = await saveFavorite();
+    }
+
+    // Only count the first save
+    let favoritesCount;
+    if (result.upsertedCount === 1) {
+      const updated = await Product.findByIdAndUpdate(
+        product._id,
+        { $inc: { favoritesCount: 1 } },
+        { new: true, timestamps: false }
+      ).select('favoritesCount');
+      favoritesCount = updated.favoritesCount;
+    } else {
+      favoritesCount = (await Product.findById(product._id).select('favoritesCount')).favoritesCount;
+    }
+
+    res.status(result.upsertedCount === 1 ? 201 : 200).json({
+      success: true,
+      isFavorite: true,
+      favoritesCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save listing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set or remove the price alert of a saved listing
+// @route   PUT /api/favorites/:productId
+// @access  Private
+exports.updateFavorite = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const priceAlert = readPriceAlert(req.body);
+
+    if (priceAlert.error || priceAlert.value === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: priceAlert.error || 'priceAlertBelow is required'
+      });
+    }
+
+    const favorite = await Favorite.findOneAndUpdate(
+      { user: req.user._id, product: productId },
+      { $set: { priceAlertBelow: priceAlert.value } },
+      { new: true }
+    );
+
+    if (!favorite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing is not in your favorites'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      favorite
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update price alert',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a listing from the saved listings
+// @route   DELETE /api/favorites/:productId
+// @access  Private
+exports.removeFavorite = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const result = await Favorite.deleteOne({ user: req.user._id, product: productId });
+
+    let favoritesCount = null;
+    if (result.deletedCount === 1) {
+      const updated = await Product.findOneAndUpdate(
+        { _id: productId, favoritesCount: { $gt: 0 } },
+        { $inc: { favoritesCount: -1 } },
+        { new: true, timestamps: false }
+      ).select('favoritesCount');
+      favoritesCount = updated ? updated.favoritesCount : 0;
+    }
+
+    res.status(200).json({
+      success: true,
+      isFavorite: false,
+      favoritesCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove listing from favorites',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,36 @@
+const { GOVERNORATES, findGovernorate } = require('../utils/locations');
+
+// @desc    List the governorates
+// @route   GET /api/locations
+// @access  Public
+exports.getGovernorates = (req, res) => {
+  const governorates = GOVERNORATES.map(({ delegations, ...governorate }) => ({
+    ...governorate,
+    delegationsCount: delegations.length
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: governorates.length,
+    governorates
+  });
+};
+
+// @desc    Get a governorate with its delegations
+// @route   GET /api/locations/:governorate
+// @access  Public
+exports.getGovernorate = (req, res) => {
+  const governorate = findGovernorate(req.params.governorate);
+
+  if (!governorate) {
+    return res.status(404).json({
+      success: false,
+      message: 'Governorate not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    governorate
+  });
+};
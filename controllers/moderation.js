@@ -0,0 +1,409 @@
+const Product = require('../models/product');
+const Setting = require('../models/setting');
+const mongoose = require('mongoose');
+const { applyTransition } = require('../utils/listingLifecycle');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { notifyUser } = require('../utils/notify');
+const { clientUrl } = require('../config/mailer');
+const { escapeHtml } = require('../utils/text');
+
+// A claim left without a decision is released after this delay
+const CLAIM_TTL_MS = 30 * 60 * 1000;
+
+const DEFAULT_REASONS = {
+  approve: [
+    { code: 'meets_guidelines', label: 'Annonce conforme aux règles de publication' },
+    { code: 'approved_after_changes', label: 'Annonce conforme après modifications' }
+  ],
+  reject: [
+    { code: 'poor_photos', label: 'Photos manquantes ou de mauvaise qualité' },
+    { code: 'incomplete_description', label: 'Description incomplète' },
+    { code: 'wrong_category', label: 'Catégorie incorrecte' },
+    { code: 'unrealistic_price', label: 'Prix irréaliste ou trompeur' },
+    { code: 'duplicate', label: 'Annonce en double' },
+    { code: 'prohibited_item', label: 'Article interdit' },
+    { code: 'contact_in_text', label: 'Coordonnées dans le texte de l\'annonce' },
+    { code: 'other', label: 'Autre motif' }
+  ]
+};
+
+const getReasons = () => Setting.getValue('moderation.reasons', DEFAULT_REASONS);
+
+// Filter matching listings another moderator is actively reviewing
+const claimedByOthers = (userId) => ({
+  'moderation.claimedBy': { $nin: [null, userId] },
+  'moderation.claimedAt': { $gt: new Date(Date.now() - CLAIM_TTL_MS) }
+});
+
+const isClaimedByOther = (product, userId) =>
+  !!product.moderation.claimedBy &&
+  product.moderation.claimedBy.toString() !== userId.toString() &&
+  product.moderation.claimedAt > new Date(Date.now() - CLAIM_TTL_MS);
+
+// @desc    Get the moderation queue, oldest submissions first
+// @route   GET /api/admin/moderation/queue
+// @access  Private (products:verify)
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { status: 'pending_review' };
+
+    if (req.query.claimed === 'mine') {
+      filter['moderation.claimedBy'] = req.user._id;
+    } else if (req.query.claimed === 'false') {
+      filter.$nor = [claimedByOthers(req.user._id)];
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ submittedAt: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('category', 'name')
+        .populate('user', 'firstName lastName email isEmailVerified isPhoneVerified createdAt')
+        .populate('moderation.claimedBy', 'firstName lastName'),
+      Product.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      products
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation queue',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Claim a pending listing so no other moderator reviews it
+// @route   POST /api/admin/moderation/:id/claim
+// @access  Private (products:verify)
+exports.claimProduct = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    // Atomic so that two moderators cannot claim the same listing
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: 'pending_review',
+        $nor: [claimedByOthers(req.user._id)]
+      },
+      {
+        $set: {
+          'moderation.claimedBy': req.user._id,
+          'moderation.claimedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!product) {
+      const exists = await Product.findById(req.params.id).select('status moderation');
+
+      if (!exists || exists.status !== 'pending_review') {
+        return res.status(404).json({
+          success: false,
+          message: 'Listing is not waiting for review'
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_CLAIMED',
+        message: 'Another moderator is reviewing this listing'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing claimed',
+      claimExpiresAt: new Date(product.moderation.claimedAt.getTime() + CLAIM_TTL_MS),
+      product
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim listing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Release a claimed listing back to the queue
+// @route   POST /api/admin/moderation/:id/release
+// @access  Private (products:verify)
+exports.releaseProduct = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, 'moderation.claimedBy': req.user._id },
+      { $set: { 'moderation.claimedBy': null, 'moderation.claimedAt': null } },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not claimed this listing'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing released'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release listing',
+      error: error.message
+    });
+  }
+};
+
+// Shared by approve and reject
+const decide = async (req, res, decision) => {
+  const { reasonCode, note } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid product ID'
+    });
+  }
+
+  const reasons = await getReasons();
+  const options = decision === 'approved' ? reasons.approve : reasons.reject;
+  const code = reasonCode || (decision === 'approved' && options.length > 0 ? options[0].code : null);
+  const reason = options.find(option => option.code === code);
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_REASON',
+      message: `reasonCode must be one of: ${options.map(option => option.code).join(', ')}`
+    });
+  }
+
+  const product = await Product.findById(req.params.id).populate('user', 'firstName email');
+
+  if (!product || product.status !== 'pending_review') {
+    return res.status(404).json({
+      success: false,
+      message: 'Listing is not waiting for review'
+    });
+  }
+
+  if (isClaimedByOther(product, req.user._id)) {
+    return res.status(409).json({
+      success: false,
+      code: 'ALREADY_CLAIMED',
+      message: 'Another moderator is reviewing this listing'
+    });
+  }
+
+  const before = snapshot(product);
+  const now = new Date();
+
+  await applyTransition(product, decision === 'approved' ? 'published' : 'rejected', {
+    actor: 'moderator',
+    by: req.user._id,
+    reason: reason.code
+  });
+
+  product.moderation = {
+    claimedBy: null,
+    claimedAt: null,
+    decision,
+    reasonCode: reason.code,
+    reasonLabel: reason.label,
+    note: note || null,
+    decidedBy: req.user._id,
+    decidedAt: now
+  };
+
+  if (decision === 'approved') {
+    product.isVerified = true;
+    product.verifiedAt = now;
+    product.verifiedBy = req.user._id;
+  }
+
+  // Saved only while still pending and not claimed by someone else, so that
+  // two moderators deciding at the same time cannot both succeed
+  product.$where = { status: 'pending_review', $nor: [claimedByOthers(req.user._id)] };
+
+  try {
+    await product.save();
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError') throw error;
+
+    return res.status(409).json({
+      success: false,
+      code: 'ALREADY_DECIDED',
+      message: 'Another moderator has already reviewed this listing'
+    });
+  }
+
+  await recordAudit(req, {
+    action: decision === 'approved' ? 'product.approve' : 'product.reject',
+    targetType: 'Product',
+    targetId: product._id,
+    before,
+    after: product
+  });
+
+  // Tell the seller, with what to fix when the listing was rejected. The
+  // account may have been deleted since the listing was submitted
+  const seller = product.user;
+
+  if (seller) {
+    const details = note ? `${reason.label}\n${note}` : reason.label;
+    const productUrl = clientUrl(decision === 'approved'
+      ? `/products/${product._id}`
+      : `/my-products/${product._id}/edit`);
+
+    await notifyUser(seller, decision === 'approved'
+      ? {
+        type: 'listing_approved',
+        title: `Votre annonce "${product.title}" est en ligne`,
+        body: details,
+        data: { productId: product._id, reasonCode: reason.code },
+        email: {
+          subject: 'Moutouri - Votre annonce est en ligne',
+          text: `Bonjour ${seller.firstName},\n\nVotre annonce "${product.title}" a été validée et est maintenant visible.\n${productUrl}`,
+          html: `<p>Bonjour ${escapeHtml(seller.firstName)},</p><p>Votre annonce "${escapeHtml(product.title)}" a été validée et est maintenant visible.</p><p><a href="${productUrl}">Voir l'annonce</a></p>`
+        }
+      }
+      : {
+        type: 'listing_rejected',
+        title: `Votre annonce "${product.title}" a été refusée`,
+        body: details,
+        data: { productId: product._id, reasonCode: reason.code, note: note || null },
+        email: {
+          subject: 'Moutouri - Votre annonce doit être modifiée',
+          text: `Bonjour ${seller.firstName},\n\nVotre annonce "${product.title}" n'a pas été validée.\nMotif : ${details}\n\nVous pouvez la modifier puis la soumettre à nouveau :\n${productUrl}`,
+          html: `<p>Bonjour ${escapeHtml(seller.firstName)},</p><p>Votre annonce "${escapeHtml(product.title)}" n'a pas été validée.</p><p>Motif : ${escapeHtml(reason.label)}${note ? `<br>${escapeHtml(note)}` : ''}</p><p><a href="${productUrl}">Modifier et soumettre à nouveau</a></p>`
+        }
+      });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Listing ${decision}`,
+    product
+  });
+};
+
+// @desc    Approve a pending listing
+// @route   POST /api/admin/moderation/:id/approve
+// @access  Private (products:verify)
+exports.approveProduct = async (req, res) => {
+  try {
+    await decide(req, res, 'approved');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve listing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject a pending listing
+// @route   POST /api/admin/moderation/:id/reject
+// @access  Private (products:verify)
+exports.rejectProduct = async (req, res) => {
+  try {
+    await decide(req, res, 'rejected');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject listing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the configurable approval and rejection reasons
+// @route   GET /api/admin/moderation/reasons
+// @access  Private (products:verify)
+exports.getModerationReasons = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      reasons: await getReasons()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation reasons',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace the approval and rejection reasons
+// @route   PUT /api/admin/moderation/reasons
+// @access  Private (settings:manage)
+exports.updateModerationReasons = async (req, res) => {
+  try {
+    const { approve, reject } = req.body;
+
+    const isValidList = (list) => Array.isArray(list) && list.length > 0 &&
+      list.every(item => item && typeof item.code === 'string' && item.code.trim() &&
+        typeof item.label === 'string' && item.label.trim());
+
+    if (!isValidList(approve) || !isValidList(reject)) {
+      return res.status(400).json({
+        success: false,
+        message: 'approve and reject must be non-empty lists of { code, label }'
+      });
+    }
+
+    const clean = (list) => list.map(item => ({ code: item.code.trim(), label: item.label.trim() }));
+    const previous = await getReasons();
+    const reasons = { approve: clean(approve), reject: clean(reject) };
+
+    await Setting.setValue('moderation.reasons', reasons, req.user._id);
+
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'Setting',
+      targetId: 'moderation.reasons',
+      before: previous,
+      after: reasons
+    });
+
+    res.status(200).json({
+      success: true,
+      reasons
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update moderation reasons',
+      error: error.message
+    });
+  }
+};
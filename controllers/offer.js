@@ -0,0 +1,542 @@
+const Offer = require('../models/offer');
+const Product = require('../models/product');
+const User = require('../models/user');
+const mongoose = require('mongoose');
+const { hasPermission } = require('../config/permissions');
+const { PRODUCT_SORTS, parsePagination, paginate } = require('../utils/pagination');
+const { PUBLIC_STATUS, applyTransition } = require('../utils/listingLifecycle');
+const { notifyUser } = require('../utils/notify');
+const { clientUrl } = require('../config/mailer');
+const { escapeHtml } = require('../utils/text');
+
+// Offers stay open this long unless the buyer chooses otherwise
+const DEFAULT_OFFER_HOURS = 48;
+const MAX_OFFER_HOURS = 7 * 24;
+
+// An accept that crashed without releasing its listing lock stops blocking
+// the other offers after this delay
+const OFFER_LOCK_MS = 60 * 1000;
+
+const OFFER_SORTS = { newest: PRODUCT_SORTS.newest };
+
+const OFFER_STATUSES = Offer.schema.path('status').enumValues;
+
+const PARTY_FIELDS = 'firstName lastName image';
+
+const idOf = (value) => (value._id || value).toString();
+
+/**
+ * Validate the amount, message and lifetime of an offer
+ * @param {Object} body - Request body
+ * @returns {Object} - { values: { amount, message, expiresAt } } or { error }
+ */
+const readOfferInput = (body) => {
+  const amount = Number(body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { error: 'amount must be a positive number' };
+  }
+
+  const hours = body.expiresInHours === undefined ? DEFAULT_OFFER_HOURS : Number(body.expiresInHours);
+  if (!Number.isFinite(hours) || hours < 1 || hours > MAX_OFFER_HOURS) {
+    return { error: `expiresInHours must be between 1 and ${MAX_OFFER_HOURS}` };
+  }
+
+  const message = typeof body.message === 'string' && body.message.trim() ? body.message.trim() : null;
+
+  return {
+    values: {
+      amount: Math.round(amount),
+      message,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    }
+  };
+};
+
+/**
+ * Notify one side of a negotiation about an offer
+ * @param {Object} userId - Recipient
+ * @param {Object} options - { type, title, offer, product, withEmail }
+ */
+const notifyOfferParty = (userId, { type, title, offer, product, withEmail = false }) => {
+  const offersUrl = clientUrl(`/products/${product._id}/offers`);
+  const amount = `${offer.amount} TND`;
+
+  return notifyUser(userId, {
+    type,
+    title,
+    body: offer.message ? `${amount} - ${offer.message}` : amount,
+    data: { offerId: offer._id, productId: product._id, amount: offer.amount },
+    email: withEmail
+      ? {
+        subject: `Moutouri - ${title}`,
+        text: `${title}\n\nMontant : ${amount}${offer.message ? `\nMessage : ${offer.message}` : ''}\n\n${offersUrl}`,
+        html: `<p>${escapeHtml(title)}</p><p>Montant : ${amount}${offer.message ? `<br>Message : ${escapeHtml(offer.message)}` : ''}</p><p><a href="${offersUrl}">Voir l'offre</a></p>`
+      }
+      : null
+  });
+};
+
+/**
+ * Close a pending offer. Atomic, so an offer is only answered once.
+ * @param {Object} offer - Offer document
+ * @param {string} status - New status
+ * @param {Object} extra - Other fields to set
+ * @returns {Promise<Object|null>} - The updated offer, null when it was no longer pending
+ */
+const closeOffer = (offer, status, extra = {}) => Offer.findOneAndUpdate(
+  { _id: offer._id, status: 'pending' },
+  { $set: { status, respondedAt: new Date(), ...extra } },
+  { new: true }
+);
+
+// Pending offer the current user has to answer, or the error response to send
+const findOfferToAnswer = async (req, res, { asMaker = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid offer ID'
+    });
+    return null;
+  }
+
+  const offer = await Offer.findById(req.params.id);
+  const party = offer && idOf(asMaker ? offer.maker() : offer.recipient());
+
+  if (!offer || party !== req.user._id.toString()) {
+    res.status(404).json({
+      success: false,
+      message: 'Offer not found'
+    });
+    return null;
+  }
+
+  if (offer.status !== 'pending' || offer.expiresAt <= new Date()) {
+    res.status(409).json({
+      success: false,
+      code: 'OFFER_CLOSED',
+      message: offer.status === 'pending' ? 'This offer has expired' : `This offer is already ${offer.status}`
+    });
+    return null;
+  }
+
+  return offer;
+};
+
+const offerClosedResponse = (res) => res.status(409).json({
+  success: false,
+  code: 'OFFER_CLOSED',
+  message: 'This offer was answered in the meantime'
+});
+
+const unavailableListingResponse = (res) => res.status(409).json({
+  success: false,
+  code: 'LISTING_UNAVAILABLE',
+  message: 'This listing is no longer open to offers'
+});
+
+// @desc    Make an offer on a listing
+// @route   POST /api/products/:id/offers
+// @access  Private
+exports.makeOffer = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const { values, error } = readOfferInput(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, status: PUBLIC_STATUS }).select('title user');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot make an offer on your own listing'
+      });
+    }
+
+    if (await User.isBlockedBetween(req.user._id, product.user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED',
+        message: 'You cannot make an offer to this user'
+      });
+    }
+
+    // An offer past its expiry no longer blocks a new one, even before the
+    // expiry job has closed it
+    await Offer.updateMany(
+      { product: product._id, buyer: req.user._id, status: 'pending', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+
+    // One open negotiation per buyer and listing, enforced by a unique index
+    let offer;
+    try {
+      offer = await Offer.create({
+        ...values,
+        product: product._id,
+        buyer: req.user._id,
+        seller: product.user,
+        from: 'buyer'
+      });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+
+      return res.status(409).json({
+        success: false,
+        code: 'OFFER_PENDING',
+        message: 'You already have an offer waiting for an answer on this listing'
+      });
+    }
+
+    await notifyOfferParty(product.user, {
+      type: 'offer_received',
+      title: `${req.user.firstName} vous propose ${offer.amount} TND pour "${product.title}"`,
+      offer,
+      product,
+      withEmail: true
+    });
+
+    res.status(201).json({
+      success: true,
+      offer
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to make offer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the offer history of a listing: every offer for the seller,
+//          the buyer's own negotiation otherwise
+// @route   GET /api/products/:id/offers
+// @access  Private
+exports.getProductOffers = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('user');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const seesAll = product.user.toString() === req.user._id.toString() ||
+      hasPermission(req.user, 'products:read');
+    const filter = seesAll ? { product: product._id } : { product: product._id, buyer: req.user._id };
+
+    const offers = await Offer.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('buyer', PARTY_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      count: offers.length,
+      offers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the offers made or received by the current user
+// @route   GET /api/offers
+// @access  Private
+exports.getMyOffers = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { sorts: OFFER_SORTS });
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const filter = req.query.role === 'buyer' || req.query.role === 'seller'
+      ? { [req.query.role]: req.user._id }
+      : { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+
+    if (req.query.status) {
+      if (!OFFER_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${OFFER_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const result = await paginate(Offer, filter, pagination, {
+      populate: [
+        ['product', 'title price images status'],
+        ['buyer', PARTY_FIELDS],
+        ['seller', PARTY_FIELDS]
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: result.items.length,
+      offers: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offers',
+      error: error.message
+    });
+  }
+};
+
+// Accept an offer once its listing is locked, see acceptOffer
+const acceptLockedOffer = async (req, res, offer, product) => {
+  const accepted = await closeOffer(offer, 'accepted');
+  if (!accepted) return offerClosedResponse(res);
+
+  // The seller chooses when accepting, or when countering for the buyer
+  const reserve = offer.from === 'buyer' ? req.body.reserve === true : offer.reserveOnAccept;
+
+  if (reserve) {
+    await applyTransition(product, 'reserved', {
+      actor: 'owner',
+      by: offer.seller,
+      reason: 'offer_accepted'
+    });
+    await product.save();
+  }
+
+  await notifyOfferParty(offer.maker(), {
+    type: 'offer_accepted',
+    title: `Votre offre de ${offer.amount} TND pour "${product.title}" a été acceptée`,
+    offer: accepted,
+    product,
+    withEmail: true
+  });
+
+  // The deal is made, the other bidders are told
+  const others = await Offer.find({ product: product._id, status: 'pending', _id: { $ne: offer._id } });
+
+  for (const other of others) {
+    const declined = await closeOffer(other, 'rejected', { closedReason: 'other_offer_accepted' });
+    if (!declined || idOf(other.buyer) === idOf(offer.buyer)) continue;
+
+    await notifyOfferParty(other.buyer, {
+      type: 'offer_declined',
+      title: `Le vendeur de "${product.title}" a accepté une autre offre`,
+      offer: declined,
+      product
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    offer: accepted,
+    productStatus: product.status
+  });
+};
+
+// @desc    Accept an offer. The seller may reserve the listing for the buyer;
+//          the other pending offers are declined.
+// @route   POST /api/offers/:id/accept
+// @access  Private
+exports.acceptOffer = async (req, res) => {
+  try {
+    const offer = await findOfferToAnswer(req, res);
+    if (!offer) return;
+
+    // Lock the listing first, so that a single offer is accepted when
+    // several are answered at the same time
+    const lockedAt = new Date();
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: offer.product,
+        status: PUBLIC_STATUS,
+        $or: [{ offerLockedAt: null }, { offerLockedAt: { $lt: new Date(lockedAt.getTime() - OFFER_LOCK_MS) } }]
+      },
+      { $set: { offerLockedAt: lockedAt } },
+      { new: true }
+    );
+
+    if (!product) {
+      return unavailableListingResponse(res);
+    }
+
+    try {
+      await acceptLockedOffer(req, res, offer, product);
+    } finally {
+      await Product.updateOne({ _id: product._id, offerLockedAt: lockedAt }, { $set: { offerLockedAt: null } });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept offer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject an offer
+// @route   POST /api/offers/:id/reject
+// @access  Private
+exports.rejectOffer = async (req, res) => {
+  try {
+    const offer = await findOfferToAnswer(req, res);
+    if (!offer) return;
+
+    const rejected = await closeOffer(offer, 'rejected');
+    if (!rejected) return offerClosedResponse(res);
+
+    const product = await Product.findById(offer.product).select('title');
+
+    if (product) {
+      await notifyOfferParty(offer.maker(), {
+        type: 'offer_rejected',
+        title: `Votre offre de ${offer.amount} TND pour "${product.title}" a été refusée`,
+        offer: rejected,
+        product
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      offer: rejected
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject offer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Answer an offer with another amount
+// @route   POST /api/offers/:id/counter
+// @access  Private
+exports.counterOffer = async (req, res) => {
+  try {
+    const { values, error } = readOfferInput(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const offer = await findOfferToAnswer(req, res);
+    if (!offer) return;
+
+    const product = await Product.findById(offer.product).select('title status');
+
+    if (!product || product.status !== PUBLIC_STATUS) {
+      return unavailableListingResponse(res);
+    }
+
+    if (await User.isBlockedBetween(offer.buyer, offer.seller)) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED',
+        message: 'You cannot make an offer to this user'
+      });
+    }
+
+    const countered = await closeOffer(offer, 'countered');
+    if (!countered) return offerClosedResponse(res);
+
+    const from = offer.from === 'buyer' ? 'seller' : 'buyer';
+    const counter = await Offer.create({
+      ...values,
+      product: offer.product,
+      buyer: offer.buyer,
+      seller: offer.seller,
+      from,
+      parent: offer._id,
+      reserveOnAccept: from === 'seller' && req.body.reserveOnAccept === true
+    });
+
+    await notifyOfferParty(counter.recipient(), {
+      type: 'offer_countered',
+      title: `Contre-offre de ${counter.amount} TND pour "${product.title}"`,
+      offer: counter,
+      product,
+      withEmail: true
+    });
+
+    res.status(201).json({
+      success: true,
+      offer: counter
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to counter offer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Withdraw an offer that has not been answered yet
+// @route   POST /api/offers/:id/withdraw
+// @access  Private
+exports.withdrawOffer = async (req, res) => {
+  try {
+    const offer = await findOfferToAnswer(req, res, { asMaker: true });
+    if (!offer) return;
+
+    const withdrawn = await closeOffer(offer, 'withdrawn');
+    if (!withdrawn) return offerClosedResponse(res);
+
+    res.status(200).json({
+      success: true,
+      offer: withdrawn
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw offer',
+      error: error.message
+    });
+  }
+};
@@ -1,8 +1,172 @@
 const Product = require('../models/product');
 const Category = require('../models/category');
 const mongoose = require('mongoose');
-const { cloudinary, deleteImage } = require('../config/cloudinary');
+const { cloudinary } = require('../config/cloudinary');
 const User = require('../models/user');
+const { hasPermission } = require('../config/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { normalizeMotorcycleInput } = require('../utils/motorcycleAttributes');
+const { resolveCatalogInput } = require('../utils/catalog');
+const { getCategoryAttributes, applyCategoryAttributes } = require('../utils/categoryAttributes');
+const {
+  PRODUCT_SORTS,
+  parsePagination,
+  paginate,
+  aggregatePage
+} = require('../utils/pagination');
+const {
+  PRODUCT_LIST_POPULATE,
+  PRODUCT_STAFF_FIELDS,
+  hideStaffFields,
+  buildProductFilterClauses,
+  combineFilterClauses,
+  buildProductFilter,
+  productPageResponse
+} = require('../utils/productQuery');
+const { getProductFacets } = require('../utils/productFacets');
+const {
+  parseSearchQuery,
+  anyWordFilter,
+  allWordsFilter,
+  relevanceStage
+} = require('../utils/search');
+const { escapeRegex, normalizeKey } = require('../utils/text');
+const Brand = require('../models/brand');
+const Favorite = require('../models/favorite');
+const { resolveLocationInput, parseNearQuery } = require('../utils/locations');
+const { priceChangeEntry, getPriceDrop, notifyPriceDrop } = require('../utils/priceHistory');
+const {
+  PUBLIC_STATUS,
+  getTransitionError,
+  isModerationDecision,
+  applyTransition,
+  getRenewalError,
+  renewListing
+} = require('../utils/listingLifecycle');
+
+// Fields only the lifecycle, moderation, favorites, offers and price history
+// code may change
+const LIFECYCLE_FIELDS = [
+  'status',
+  'statusHistory',
+  'submittedAt',
+  'moderation',
+  'publishedAt',
+  'expiresAt',
+  'expiredAt',
+  'reservedAt',
+  'offerLockedAt',
+  'soldAt',
+  'archivedAt',
+  'isVerified',
+  'verifiedAt',
+  'verifiedBy',
+  'isFeatured',
+  'favoritesCount',
+  'priceHistory'
+];
+
+const stripLifecycleFields = (body) => {
+  LIFECYCLE_FIELDS.forEach(field => delete body[field]);
+  return body;
+};
+
+// Fields a seller may change through updateProduct, anything else sent is
+// ignored
+const EDITABLE_FIELDS = [
+  'title',
+  'category',
+  'description',
+  'price',
+  'condition',
+  'year',
+  'brand',
+  'model',
+  'catalogBrand',
+  'catalogModel',
+  'mileageKm',
+  'engineCc',
+  'fuelType',
+  'transmission',
+  'engineType',
+  'color',
+  'attributes',
+  'images',
+  'location',
+  'governorate',
+  'delegation',
+  'geo'
+];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Update operators ($set, $inc...) anywhere in a body would bypass the allowlist
+const hasOperatorKeys = (value) => value !== null && typeof value === 'object' &&
+  Object.keys(value).some(key => key.startsWith('$') || hasOperatorKeys(value[key]));
+
+// Search results are ranked by relevance unless another sort is requested
+const SEARCH_SORTS = {
+  relevance: {},
+  ...PRODUCT_SORTS
+};
+
+// Sorts of the public listing, distance needs lat/lng
+const LISTING_SORTS = {
+  ...PRODUCT_SORTS,
+  distance: {}
+};
+
+// Aggregation results are plain objects, populated like find() results
+const populateListItems = (items) =>
+  Product.populate(items, PRODUCT_LIST_POPULATE.map(([path, select]) => ({ path, select })));
+
+// Rank matching listings by relevance
+const searchByRelevance = async (filter, parsed, pagination) => {
+  const result = await aggregatePage(
+    Product,
+    [{ $match: filter }, relevanceStage(parsed)],
+    [
+      { $sort: { searchMatchedWords: -1, searchScore: -1, createdAt: -1, _id: -1 } },
+      { $project: { searchKeys: 0, searchTitle: 0, ...PRODUCT_STAFF_FIELDS } }
+    ],
+    pagination
+  );
+
+  await populateListItems(result.items);
+  return result;
+};
+
+// Closest listings first, with their distance in km
+const listByDistance = async (filter, near, pagination) => {
+  const geoNear = {
+    near: { type: 'Point', coordinates: near.coordinates },
+    key: 'geo',
+    distanceField: 'distanceKm',
+    distanceMultiplier: 0.001,
+    spherical: true,
+    query: filter
+  };
+  if (near.radiusKm) geoNear.maxDistance = near.radiusKm * 1000;
+
+  const result = await aggregatePage(
+    Product,
+    [{ $geoNear: geoNear }],
+    [
+      { $sort: { distanceKm: 1, _id: 1 } },
+      { $project: { searchKeys: 0, searchTitle: 0, ...PRODUCT_STAFF_FIELDS } }
+    ],
+    pagination
+  );
+
+  await populateListItems(result.items);
+  return result;
+};
+
+const isOwner = (product, user) => !!user &&
+  (product.user._id || product.user).toString() === user._id.toString();
 
 // @desc    Create a new product
 // @route   POST /api/products
@@ -13,10 +177,24 @@ exports.createProduct = async (req, res) => {
     console.log("Request body:", req.body);
     console.log("Files received:", req.files || 'No files');
     console.log("Required fields check:", {
-      cylinder: !!req.body.cylinder, 
-      kilometrage: !!req.body.kilometrage,
+      engineCc: !!(req.body.engineCc || req.body.cylinder),
+      mileageKm: !!(req.body.mileageKm || req.body.kilometrage),
       year: !!req.body.year
     });
+
+    // Accept the legacy free-text kilometrage/cylinder fields
+    normalizeMotorcycleInput(req.body);
+    await resolveCatalogInput(req.body);
+    
+    // Governorate/delegation codes and coordinates
+    const locationError = resolveLocationInput(req.body);
+    
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
     
     // Process image files from middleware
     if (req.fileUrls && req.fileUrls.length > 0) {
@@ -26,8 +204,39 @@ exports.createProduct = async (req, res) => {
       console.log('❌ No images received from middleware');
     }
     
+    // New listings wait for review unless the seller saves a draft
+    const status = req.body.status === 'draft' ? 'draft' : 'pending_review';
+    stripLifecycleFields(req.body);
+
+    // Enforce the attribute schema of the category
+    const categorySchema = await getCategoryAttributes(
+      mongoose.Types.ObjectId.isValid(req.body.category) ? req.body.category : null
+    );
+    
+    if (!categorySchema) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category'
+      });
+    }
+    
+    const attributeErrors = applyCategoryAttributes(req.body, categorySchema.attributes);
+    
+    if (Object.keys(attributeErrors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: attributeErrors
+      });
+    }
+
     // Set the user to the current user
     req.body.user = req.user._id;
+    req.body.status = status;
+    req.body.statusHistory = [{ from: null, to: status, by: req.user._id }];
+    if (status === 'pending_review') {
+      req.body.submittedAt = new Date();
+    }
     
     // Create the product
     const product = await Product.create(req.body);
@@ -72,53 +281,41 @@ exports.createProduct = async (req, res) => {
 // @access  Public
 exports.getAllProducts = async (req, res) => {
   try {
-    const { search, category, minPrice, maxPrice, condition, location } = req.query;
-    
-    // Build query based on filters
-    const query = {};
-    
-    if (search) {
-      // Improve search with regex and case insensitivity 
-      // Also search in multiple fields
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    if (category) {
-      query.category = category;
-    }
+    const pagination = parsePagination(req.query, { sorts: LISTING_SORTS });
+    const near = parseNearQuery(req.query);
     
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
+    if (pagination.error || (near && near.error)) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error || near.error
+      });
     }
     
-    if (condition) {
-      query.condition = condition;
+    if (pagination.sortKey === 'distance' && !near) {
+      return res.status(400).json({
+        success: false,
+        message: 'lat and lng are required to sort by distance'
+      });
     }
     
-    if (location) {
-      query.location = { $regex: location, $options: 'i' };
-    }
+    // Build query based on filters, public listings only
+    const clauses = await buildProductFilterClauses(req.query);
+    const query = combineFilterClauses(clauses);
     
-    console.log("Query filters:", query);
+    console.log("Query filters:", JSON.stringify(query));
     
-    // Execute query with filters
-    const products = await Product.find(query)
-      .populate('category', 'name slug')
-      .populate('user', 'firstName lastName image')
-      .sort({ createdAt: -1 });
+    // Facet counts are computed for the same filters when requested
+    const [result, facets] = await Promise.all([
+      pagination.sortKey === 'distance'
+        // $geoNear applies the radius itself
+        ? listByDistance(combineFilterClauses(clauses, ['near']), near, pagination)
+        : paginate(Product, query, pagination, { populate: PRODUCT_LIST_POPULATE, select: PRODUCT_STAFF_FIELDS }),
+      req.query.facets === 'true' ? getProductFacets(clauses) : null
+    ]);
     
-    console.log(`Found ${products.length} products matching filters`);
+    console.log(`Found ${result.pagination.total} products matching filters`);
     
-    return res.status(200).json({
-      success: true,
-      count: products.length,
-      products
-    });
+    return res.status(200).json(productPageResponse(result, facets ? { facets } : {}));
   } catch (error) {
     console.error("Product search error:", error);
     return res.status(500).json({
@@ -140,9 +337,12 @@ exports.getProductById = async (req, res) => {
     // Find product by ID and populate category and user information
     const product = await Product.findById(productId)
       .populate('category', 'name')
-      .populate('user', 'firstName lastName email phone image createdAt');
+      .populate('user', 'firstName lastName email phone image createdAt isPhoneVerified contactPreferences rating');
     
-    if (!product) {
+    // Listings that are not published are only visible to their owner and staff
+    const canSeeUnpublished = product && (isOwner(product, req.user) || hasPermission(req.user, 'products:read'));
+
+    if (!product || (product.status !== PUBLIC_STATUS && !canSeeUnpublished)) {
       console.log(`❌ Product not found: ${productId}`);
       return res.status(404).json({
         success: false,
@@ -150,10 +350,26 @@ exports.getProductById = async (req, res) => {
       });
     }
     
+    const isFavorite = req.user
+      ? !!(await Favorite.exists({ user: req.user._id, product: product._id }))
+      : false;
+    
+    // Sellers who hide their phone or email are contacted through messaging
+    const body = product.toObject();
+    const isStaff = hasPermission(req.user, 'products:read');
+    if (body.user && !isOwner(product, req.user) && !isStaff) {
+      const preferences = body.user.contactPreferences || {};
+      if (preferences.hidePhone) delete body.user.phone;
+      if (preferences.hideEmail) delete body.user.email;
+    }
+    if (!isStaff) hideStaffFields(body);
+    
     console.log(`✅ Product found: ${product.title}`);
     res.status(200).json({
       success: true,
-      product
+      product: body,
+      priceDrop: getPriceDrop(product),
+      isFavorite
     });
   } catch (error) {
     console.error(`🚨 Error fetching product: ${error.message}`);
@@ -183,33 +399,94 @@ exports.updateProduct = async (req, res) => {
     }
     
     // Check ownership
-    if (product.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (product.user.toString() !== req.user._id.toString() && !hasPermission(req.user, 'products:update')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this product'
       });
     }
     
-    // Check if category is valid when updated
-    if (req.body.category) {
-      const categoryExists = await Category.findById(req.body.category);
-      if (!categoryExists) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid category'
-        });
-      }
+    if (hasOperatorKeys(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Field names cannot start with $'
+      });
+    }
+    
+    // Status changes go through the dedicated lifecycle endpoints
+    stripLifecycleFields(req.body);
+    normalizeMotorcycleInput(req.body);
+    await resolveCatalogInput(req.body, product);
+    
+    const locationError = resolveLocationInput(req.body);
+    
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+    
+    // Check if category is valid when updated, and enforce its attribute schema
+    const categoryId = req.body.category || product.category;
+    const categorySchema = await getCategoryAttributes(
+      mongoose.Types.ObjectId.isValid(categoryId) ? categoryId : null
+    );
+    
+    if (!categorySchema) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category'
+      });
     }
     
+    const attributeErrors = applyCategoryAttributes(req.body, categorySchema.attributes, product);
+    
+    if (Object.keys(attributeErrors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: attributeErrors
+      });
+    }
+
+    // Keep a history of price changes
+    const newPrice = req.body.price === undefined ? undefined : Number(req.body.price);
+    const priceChanged = Number.isFinite(newPrice) && newPrice !== product.price;
+    const priceHistoryUpdate = priceChanged
+      ? { $push: { priceHistory: priceChangeEntry(product.price, newPrice, req.user._id) } }
+      : {};
+
     // Update product
     const updatedProduct = await Product.findByIdAndUpdate(
       id,
       { 
-        ...req.body,
+        ...pickEditableFields(req.body),
+        ...priceHistoryUpdate,
         updatedAt: Date.now() 
       },
       { new: true, runValidators: true }
     ).populate('category', 'name slug');
+
+    await Product.refreshSearchFields(updatedProduct);
+
+    // Tell the users who saved the listing, without holding the response
+    if (priceChanged && newPrice < product.price) {
+      notifyPriceDrop(updatedProduct, product.price).catch(error => {
+        console.error(`🚨 Failed to send price drop alerts for ${updatedProduct._id}:`, error);
+      });
+    }
+
+    // Editing someone else's listing is a privileged action
+    if (product.user.toString() !== req.user._id.toString()) {
+      await recordAudit(req, {
+        action: 'product.update',
+        targetType: 'Product',
+        targetId: product._id,
+        before: product,
+        after: updatedProduct
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -242,24 +519,39 @@ exports.deleteProduct = async (req, res) => {
     }
     
     // Check ownership
-    if (product.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (product.user.toString() !== req.user._id.toString() && !hasPermission(req.user, 'products:delete')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this product'
       });
     }
     
-    // Delete images from Cloudinary if they exist
-    if (product.images && product.images.length > 0) {
-      // Delete each image from Cloudinary
-      const deletePromises = product.images.map(imageUrl => deleteImage(imageUrl));
-      await Promise.all(deletePromises);
+    if (product.status === 'archived') {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
     }
-    
-    // Soft delete
-    product.isActive = false;
+
+    // Soft delete, the images are kept so the listing can be restored
+    const before = snapshot(product);
+    await applyTransition(product, 'archived', {
+      actor: isOwner(product, req.user) ? 'owner' : 'moderator',
+      by: req.user._id,
+      reason: 'deleted'
+    });
     product.updatedAt = Date.now();
     await product.save();
+
+    if (product.user.toString() !== req.user._id.toString()) {
+      await recordAudit(req, {
+        action: 'product.delete',
+        targetType: 'Product',
+        targetId: product._id,
+        before,
+        after: product
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -282,7 +574,8 @@ exports.getLatestProducts = async (req, res) => {
   try {
     const limit = req.query.limit || 6;
     
-    const products = await Product.find({ isActive: true })
+    const products = await Product.find({ status: PUBLIC_STATUS })
+      .select(PRODUCT_STAFF_FIELDS)
       .sort({ createdAt: -1 })
       .limit(Number(limit))
       .populate('category', 'name slug')
@@ -316,19 +609,36 @@ exports.searchProducts = async (req, res) => {
       });
     }
     
-    const products = await Product.find({
-      $text: { $search: q },
-      isActive: true
-    })
-      .populate('category', 'name slug')
-      .populate('user', 'firstName lastName')
-      .sort({ score: { $meta: 'textScore' } });
+    const pagination = parsePagination(req.query, { sorts: SEARCH_SORTS, defaultSort: 'relevance' });
     
-    res.status(200).json({
-      success: true,
-      count: products.length,
-      products
-    });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+    
+    const parsed = parseSearchQuery(q);
+    
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+    
+    // The other listing filters apply to search results too
+    const filters = await buildProductFilter({ ...req.query, search: undefined });
+    
+    // Ranked results may match only some of the words, sorted ones must match all
+    const result = pagination.sortKey === 'relevance'
+      ? await searchByRelevance({ $and: [filters, anyWordFilter(parsed)] }, parsed, pagination)
+      : await paginate(Product, { $and: [filters, allWordsFilter(parsed)] }, pagination, {
+        populate: PRODUCT_LIST_POPULATE,
+        select: PRODUCT_STAFF_FIELDS
+      });
+    
+    res.status(200).json(productPageResponse(result, { query: q }));
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -343,7 +653,7 @@ exports.getProducts = async (req, res) => {
   try {
     const { category, search, minPrice, maxPrice, limit = 50 } = req.query;
     
-    const query = { isActive: true };
+    const query = { status: PUBLIC_STATUS };
     
     // Add filters
     if (category) {
@@ -358,12 +668,14 @@ exports.getProducts = async (req, res) => {
       query.price = { ...query.price, $lte: Number(maxPrice) };
     }
     
-    if (search) {
-      query.$text = { $search: search };
+    const parsedSearch = search ? parseSearchQuery(search) : null;
+    if (parsedSearch) {
+      Object.assign(query, allWordsFilter(parsedSearch));
     }
     
     // Get products with category and user info
     const products = await Product.find(query)
+      .select(PRODUCT_STAFF_FIELDS)
       .populate('category', 'name')
       .populate('user', 'firstName lastName')
       .sort({ createdAt: -1 })
@@ -399,38 +711,43 @@ exports.getSearchSuggestions = async (req, res) => {
       });
     }
     
-    // Create a regex for case-insensitive search
-    const searchRegex = new RegExp(q, 'i');
+    const parsed = parseSearchQuery(q);
+    
+    if (!parsed) {
+      return res.status(200).json({
+        success: true,
+        suggestions: []
+      });
+    }
     
-    // Find products matching the query in title, description, or brand
-    const products = await Product.find({
-      $or: [
-        { title: searchRegex },
-        { description: searchRegex },
-        { brand: searchRegex },
-        { model: searchRegex },
-        { color: searchRegex },
-        { location: searchRegex }
-      ]
-    })
-    .limit(10)
-    .select('title brand model');
+    // Best matching listing titles, tolerant of accents, script and typos
+    const products = await Product.aggregate([
+      { $match: { status: PUBLIC_STATUS, ...anyWordFilter(parsed) } },
+      relevanceStage(parsed),
+      { $sort: { searchMatchedWords: -1, searchScore: -1, createdAt: -1 } },
+      { $limit: 10 },
+      { $project: { title: 1 } }
+    ]);
     
     // Extract suggestions from products
     let suggestions = products.map(product => product.title);
     
-    // Add category matches
-    const categories = await Category.find({
-      name: searchRegex
-    }).select('name');
+    // Add catalog brands and categories starting with the query
+    const searchRegex = new RegExp(escapeRegex(q.trim()), 'i');
+    const brandKey = normalizeKey(q);
     
-    if (categories.length > 0) {
-      const categoryNames = categories.map(cat => cat.name);
-      suggestions = [
-        ...suggestions,
-        ...categoryNames.map(name => `${name}`)
-      ];
-    }
+    const [brands, categories] = await Promise.all([
+      brandKey
+        ? Brand.find({ keys: { $regex: `^${escapeRegex(brandKey)}` }, isActive: true }).select('name').limit(5)
+        : [],
+      Category.find({ name: searchRegex, isActive: true }).select('name')
+    ]);
+    
+    suggestions = [
+      ...brands.map(brand => brand.name),
+      ...suggestions,
+      ...categories.map(cat => cat.name)
+    ];
     
     // Deduplicate and limit results
     suggestions = [...new Set(suggestions)].slice(0, 10);
@@ -448,3 +765,154 @@ exports.getSearchSuggestions = async (req, res) => {
     });
   }
 };
+
+// @desc    Get the listings of the current user, whatever their status
+// @route   GET /api/products/mine
+// @access  Private
+exports.getMyProducts = async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    } else {
+      query.status = { $ne: 'archived' };
+    }
+
+    const products = await Product.find(query)
+      .populate('category', 'name slug')
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      products
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your products',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change the status of a listing (submit, mark as sold, archive...)
+// @route   PUT /api/products/:id/status
+// @access  Private
+exports.updateProductStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const owner = isOwner(product, req.user);
+
+    if (!owner && !hasPermission(req.user, 'products:verify')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this product'
+      });
+    }
+
+    if (isModerationDecision(product.status, status)) {
+      return res.status(409).json({
+        success: false,
+        code: 'MODERATION_REQUIRED',
+        message: 'Pending listings are reviewed through the moderation queue'
+      });
+    }
+
+    const actor = owner ? 'owner' : 'moderator';
+    const transitionError = getTransitionError(product.status, status, actor);
+
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_STATUS_TRANSITION',
+        message: transitionError
+      });
+    }
+
+    const before = snapshot(product);
+    await applyTransition(product, status, { actor, by: req.user._id, reason });
+    await product.save();
+
+    if (!owner) {
+      await recordAudit(req, {
+        action: `product.status.${status}`,
+        targetType: 'Product',
+        targetId: product._id,
+        before,
+        after: product
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Product moved to ${status}`,
+      product
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update product status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Renew a listing that expired or is about to expire
+// @route   POST /api/products/:id/renew
+// @access  Private
+exports.renewProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!isOwner(product, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to renew this product'
+      });
+    }
+
+    const renewalError = getRenewalError(product);
+
+    if (renewalError) {
+      return res.status(400).json({
+        success: false,
+        code: 'RENEWAL_NOT_ALLOWED',
+        message: renewalError
+      });
+    }
+
+    await renewListing(product, { by: req.user._id });
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing renewed successfully',
+      product
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to renew product',
+      error: error.message
+    });
+  }
+};
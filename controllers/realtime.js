@@ -0,0 +1,8 @@
+const { openStream } = require('../utils/realtime');
+
+// @desc    Stream notifications, messages and staff alerts (Server-Sent Events)
+// @route   GET /api/realtime/stream
+// @access  Private
+exports.stream = (req, res) => {
+  openStream(req, res);
+};
@@ -0,0 +1,308 @@
+const Review = require('../models/review');
+const Product = require('../models/product');
+const User = require('../models/user');
+const Offer = require('../models/offer');
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+const mongoose = require('mongoose');
+const { PRODUCT_SORTS, parsePagination, paginate } = require('../utils/pagination');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { notifyUser } = require('../utils/notify');
+
+const REVIEW_SORTS = { newest: PRODUCT_SORTS.newest };
+
+/**
+ * Find what shows a buyer dealt with the seller of a listing: an accepted
+ * offer, or a conversation the seller answered
+ * @param {string} buyerId - Buyer id
+ * @param {Object} product - Product document (needs user)
+ * @returns {Promise<Object|null>} - { kind, id }, null when there is none
+ */
+const findTransaction = async (buyerId, product) => {
+  const offer = await Offer.findOne({ product: product._id, buyer: buyerId, status: 'accepted' }).select('_id');
+  if (offer) return { kind: 'offer', id: offer._id };
+
+  const conversation = await Conversation.findOne({ product: product._id, buyer: buyerId }).select('_id');
+  if (conversation && await Message.exists({ conversation: conversation._id, sender: product.user })) {
+    return { kind: 'conversation', id: conversation._id };
+  }
+
+  return null;
+};
+
+// @desc    Rate and review the seller of a listing
+// @route   POST /api/products/:id/reviews
+// @access  Private
+exports.createReview = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const rating = Number(req.body.rating);
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'rating must be a whole number between 1 and 5'
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('title user');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot review yourself'
+      });
+    }
+
+    const transaction = await findTransaction(req.user._id, product);
+
+    if (!transaction) {
+      return res.status(403).json({
+        success: false,
+        code: 'NO_TRANSACTION',
+        message: 'Only buyers who had an accepted offer or a conversation with the seller can review them'
+      });
+    }
+
+    if (await Review.exists({ buyer: req.user._id, product: product._id })) {
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_REVIEWED',
+        message: 'You already reviewed this seller for this listing'
+      });
+    }
+
+    const review = await Review.create({
+      product: product._id,
+      seller: product.user,
+      buyer: req.user._id,
+      transaction,
+      rating,
+      comment: typeof req.body.comment === 'string' && req.body.comment.trim() ? req.body.comment : null
+    });
+
+    const sellerRating = await Review.updateSellerRating(product.user);
+
+    await notifyUser(product.user, {
+      type: 'review_received',
+      title: `${req.user.firstName} vous a laissé un avis (${rating}/5) pour "${product.title}"`,
+      body: review.comment,
+      data: { reviewId: review._id, productId: product._id, rating }
+    });
+
+    res.status(201).json({
+      success: true,
+      review,
+      sellerRating
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_REVIEWED',
+        message: 'You already reviewed this seller for this listing'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the reviews received by a seller
+// @route   GET /api/users/:id/reviews
+// @access  Public
+exports.getUserReviews = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const pagination = parsePagination(req.query, { sorts: REVIEW_SORTS });
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const seller = await User.findOne({ _id: req.params.id, isActive: true }).select('rating');
+
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const result = await paginate(Review, { seller: seller._id, status: 'visible' }, pagination, {
+      select: '-removal -transaction.id',
+      populate: [
+        ['buyer', 'firstName image'],
+        ['product', 'title']
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      rating: seller.rating,
+      count: result.items.length,
+      reviews: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Publicly answer a review, once
+// @route   POST /api/reviews/:id/reply
+// @access  Private (reviewed seller)
+exports.replyToReview = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID'
+      });
+    }
+
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+    if (!body) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply cannot be empty'
+      });
+    }
+
+    // Atomic so that a seller cannot reply twice
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, seller: req.user._id, status: 'visible', 'reply.body': null },
+      { $set: { reply: { body, at: new Date() } } },
+      { new: true, runValidators: true }
+    );
+
+    if (!review) {
+      const exists = await Review.findOne({ _id: req.params.id, seller: req.user._id, status: 'visible' }).select('_id');
+
+      return exists
+        ? res.status(409).json({
+          success: false,
+          code: 'ALREADY_REPLIED',
+          message: 'You already replied to this review'
+        })
+        : res.status(404).json({
+          success: false,
+          message: 'Review not found'
+        });
+    }
+
+    await notifyUser(review.buyer, {
+      type: 'review_reply',
+      title: 'Le vendeur a répondu à votre avis',
+      body,
+      data: { reviewId: review._id, productId: review.product }
+    });
+
+    res.status(200).json({
+      success: true,
+      review
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reply to review',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove an abusive review
+// @route   DELETE /api/reviews/:id
+// @access  Private (reviews:moderate)
+exports.removeReview = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID'
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const before = snapshot(review);
+    review.status = 'removed';
+    review.removal = {
+      by: req.user._id,
+      at: new Date(),
+      reason: typeof req.body.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null
+    };
+    await review.save();
+
+    const sellerRating = await Review.updateSellerRating(review.seller);
+
+    await recordAudit(req, {
+      action: 'review.remove',
+      targetType: 'Review',
+      targetId: review._id,
+      before,
+      after: review
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Review removed',
+      sellerRating
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove review',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,253 @@
+const SavedSearch = require('../models/savedSearch');
+const SavedSearchAlert = require('../models/savedSearchAlert');
+const mongoose = require('mongoose');
+const { pickFilterParams } = require('../utils/productQuery');
+const { parseNearQuery } = require('../utils/locations');
+
+// A user can keep this many saved searches
+const MAX_SAVED_SEARCHES = 20;
+
+const FREQUENCIES = ['instant', 'daily', 'off'];
+
+/**
+ * Validate the name, filters and frequency of a saved search
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Only validate the fields present (update)
+ * @returns {Object} - { values } or { error }
+ */
+const readSavedSearchInput = (body, partial = false) => {
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Search name is required' };
+    }
+    values.name = body.name.trim();
+  }
+
+  if (!partial || body.filters !== undefined) {
+    const filters = pickFilterParams(body.filters && typeof body.filters === 'object' ? body.filters : {});
+
+    if (Object.keys(filters).length === 0) {
+      return { error: 'filters must contain at least one listing filter' };
+    }
+
+    const near = parseNearQuery(filters);
+    if (near && near.error) {
+      return { error: near.error };
+    }
+
+    values.filters = filters;
+    values.categories = [filters.category || []].flat()
+      .flatMap(value => value.split(','))
+      .map(id => id.trim())
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+  }
+
+  if (body.frequency !== undefined || !partial) {
+    const frequency = body.frequency === undefined ? 'instant' : body.frequency;
+    if (!FREQUENCIES.includes(frequency)) {
+      return { error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+    values.frequency = frequency;
+  }
+
+  return { values };
+};
+
+// @desc    Get the saved searches of the current user
+// @route   GET /api/saved-searches
+// @access  Private
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: savedSearches.length,
+      savedSearches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved searches',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Save the current listing filters as a named search
+// @route   POST /api/saved-searches
+// @access  Private
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const { values, error } = readSavedSearchInput(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        code: 'SAVED_SEARCH_LIMIT',
+        message: `You can keep up to ${MAX_SAVED_SEARCHES} saved searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({ ...values, user: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      savedSearch
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save search',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rename a saved search, change its filters or alert frequency
+// @route   PUT /api/saved-searches/:id
+// @access  Private
+exports.updateSavedSearch = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID'
+      });
+    }
+
+    const { values, error } = readSavedSearchInput(req.body, true);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    Object.assign(savedSearch, values);
+    if (values.filters) savedSearch.markModified('filters');
+    await savedSearch.save();
+
+    res.status(200).json({
+      success: true,
+      savedSearch
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update saved search',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID'
+      });
+    }
+
+    const result = await SavedSearch.deleteOne({ _id: req.params.id, user: req.user._id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    await SavedSearchAlert.deleteMany({ savedSearch: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete saved search',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Turn off the alerts of a saved search from an email link
+// @route   GET /api/saved-searches/unsubscribe/:token
+// @access  Public
+exports.unsubscribeSavedSearch = async (req, res) => {
+  try {
+    const id = SavedSearch.verifyUnsubscribeToken(req.params.token);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    const savedSearch = await SavedSearch.findByIdAndUpdate(
+      id,
+      { $set: { frequency: 'off' } },
+      { new: true }
+    ).select('name frequency');
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `You will no longer receive alerts for "${savedSearch.name}"`,
+      savedSearch
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe',
+      error: error.message
+    });
+  }
+};
@@ -1,36 +1,209 @@
 const User = require('../models/user');
 const Product = require('../models/product');
+const Session = require('../models/session');
+const LoginAttempt = require('../models/loginAttempt');
+const Setting = require('../models/setting');
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { sendEmail, clientUrl } = require('../config/mailer');
+const { sendSms } = require('../config/sms');
+const { getClientIp, getDeviceLabel } = require('../utils/request');
+const totp = require('../utils/totp');
+const { ROLES, getRolePermissions, hasPermission } = require('../config/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { PUBLIC_STATUS } = require('../utils/listingLifecycle');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { PRODUCT_LIST_POPULATE, PRODUCT_STAFF_FIELDS, productPageResponse } = require('../utils/productQuery');
+const { escapeHtml } = require('../utils/text');
+
+// Phone OTP limits
+const OTP_TTL_MS = 10 * 60 * 1000; // Codes are valid for 10 minutes
+const OTP_MAX_ATTEMPTS = 5; // Wrong guesses allowed per code
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000; // One code per minute
+const OTP_MAX_SENDS_PER_DAY = 5;
+
+// Response rate is measured on the latest conversations received as a seller
+const RESPONSE_RATE_SAMPLE = 100;
+
+// Account fields the owner and staff see on a user, anything else stored on
+// the account (tokens, secrets, legacy fields...) stays out of responses
+const PRIVATE_PROFILE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'image', 'role', 'isActive',
+  'isEmailVerified', 'emailVerifiedAt', 'isPhoneVerified', 'phoneVerifiedAt',
+  'twoFactorEnabled', 'twoFactorEnabledAt', 'contactPreferences', 'rating',
+  'createdAt', 'updatedAt'
+].join(' ');
+
+/**
+ * Public seller profile: only fields safe to show anyone, with listing
+ * stats and how often the seller answers messages
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Profile
+ */
+const buildPublicProfile = async (user) => {
+  const [activeListings, soldListings, conversations] = await Promise.all([
+    Product.countDocuments({ user: user._id, status: PUBLIC_STATUS }),
+    Product.countDocuments({ user: user._id, status: 'sold' }),
+    Conversation.find({ seller: user._id })
+      .sort({ createdAt: -1 })
+      .limit(RESPONSE_RATE_SAMPLE)
+      .select('_id')
+  ]);
+
+  const answered = conversations.length > 0
+    ? await Message.distinct('conversation', {
+      conversation: { $in: conversations.map(conversation => conversation._id) },
+      sender: user._id
+    })
+    : [];
+
+  const badges = [];
+  if (user.isEmailVerified) badges.push('email_verified');
+  if (user.isPhoneVerified) badges.push('phone_verified');
+
+  return {
+    id: user._id,
+    displayName: user.lastName ? `${user.firstName} ${user.lastName.charAt(0)}.` : user.firstName,
+    avatar: user.image || null,
+    memberSince: user.createdAt,
+    badges,
+    rating: user.rating,
+    stats: {
+      activeListings,
+      soldListings
+    },
+    responseRate: conversations.length > 0
+      ? Math.round((answered.length / conversations.length) * 100)
+      : null
+  };
+};
 
 // Generate access token - short lived (15-60 minutes)
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, sessionId) => {
   return jwt.sign(
     { 
       id: user._id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
     { expiresIn: '1h' } // Short-lived token
   );
 };
 
-// Generate refresh token - longer lived (days/weeks)
-const generateRefreshToken = (user) => {
-  // Create a random token
-  const refreshToken = crypto.randomBytes(40).toString('hex');
+// Device details recorded on a session
+const getSessionContext = (req) => {
+  const userAgent = req.headers['user-agent'] || null;
+  return {
+    deviceLabel: (req.body && req.body.deviceLabel) || getDeviceLabel(userAgent),
+    userAgent,
+    ip: getClientIp(req)
+  };
+};
+
+// Start a session for this device and return both tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, getSessionContext(req));
+  return {
+    accessToken: generateAccessToken(user, session._id),
+    refreshToken
+  };
+};
+
+// Email a verification link to the user and save the hashed token
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = clientUrl(`/verify-email?token=${verificationToken}`);
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Moutouri - Confirmez votre adresse email',
+    text: `Bonjour ${user.firstName},\n\nConfirmez votre adresse email pour pouvoir publier des annonces (lien valable 24 heures) :\n${verifyUrl}`,
+    html: `<p>Bonjour ${escapeHtml(user.firstName)},</p><p>Confirmez votre adresse email pour pouvoir publier des annonces (lien valable 24 heures) :</p><p><a href="${verifyUrl}">${verifyUrl}</a></p>`
+  });
+};
+
+// Purpose claim of the token returned between the password and 2FA steps
+const TWO_FACTOR_CHALLENGE = '2fa_challenge';
+
+// Issue tokens for a successful login and send them with the user summary
+const sendLoginResponse = async (req, res, user) => {
+  // Start a new session for this device, other devices stay signed in
+  const { accessToken, refreshToken } = await issueTokens(user, req);
   
-  // Set expiry date - 7 days from now
-  const refreshTokenExpiry = new Date();
-  refreshTokenExpiry.setDate(refreshTokenExpiry.getDate() + 7);
+  console.log(`✅ Login successful for ${user.email}`);
+  console.log(`🔑 Generated access token (first 15 chars): ${accessToken.substring(0, 15)}...`);
   
-  // Save to user
-  user.refreshToken = refreshToken;
-  user.refreshTokenExpiry = refreshTokenExpiry;
+  // Clear sensitive data
+  const userToReturn = {
+    id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    image: user.image,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    permissions: getRolePermissions(user.role)
+  };
   
-  return refreshToken;
+  // Send response with tokens
+  res.status(200).json({
+    success: true,
+    user: userToReturn,
+    accessToken,
+    refreshToken
+  });
+};
+
+// Check a TOTP code (refusing replays) or consume a backup code. The caller
+// must save the user afterwards. Needs twoFactorSecret, twoFactorBackupCodes
+// and twoFactorLastUsedStep selected.
+const checkTwoFactorCode = (user, { code, backupCode }) => {
+  if (backupCode) {
+    return user.useTwoFactorBackupCode(backupCode);
+  }
+
+  const step = totp.verifyCode(user.twoFactorSecret, code);
+  if (step === null || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Count a failed login against the email and the IP, and tell the owner
+// when their account gets locked
+const recordFailedLogin = async (user, emailKey, ipKey) => {
+  const [emailResult] = await Promise.all([
+    LoginAttempt.recordFailure(emailKey),
+    LoginAttempt.recordFailure(ipKey)
+  ]);
+
+  if (!emailResult.locked || !user) return;
+
+  console.log(`🔐 Account locked after repeated failed logins: ${user.email}`);
+  const resetUrl = clientUrl('/forgot-password');
+  const lockedUntil = emailResult.attempt.lockedUntil.toLocaleString('fr-FR', { timeZone: 'Africa/Tunis' });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Moutouri - Compte temporairement verrouillé',
+      text: `Bonjour ${user.firstName},\n\nSuite à plusieurs tentatives de connexion échouées, votre compte est verrouillé jusqu'au ${lockedUntil}.\nSi ce n'était pas vous, nous vous conseillons de changer votre mot de passe : ${resetUrl}`,
+      html: `<p>Bonjour ${escapeHtml(user.firstName)},</p><p>Suite à plusieurs tentatives de connexion échouées, votre compte est verrouillé jusqu'au ${lockedUntil}.</p><p>Si ce n'était pas vous, nous vous conseillons de <a href="${resetUrl}">changer votre mot de passe</a>.</p>`
+    });
+  } catch (mailError) {
+    console.error('🚨 Failed to send lockout email:', mailError);
+  }
 };
 
 // @desc    Register a new user
@@ -55,198 +228,952 @@ exports.registerUser = async (req, res) => {
       phone
     });
 
-    if (user) {
-      // Generate refresh token
-      const refreshToken = generateRefreshToken(user);
-      await user.save(); // Save the refresh token to user
-      
-      res.status(201).json({
-        success: true,
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          phone: user.phone,
-          role: user.role
-        },
-        accessToken: generateAccessToken(user),
-        refreshToken
+    if (user) {
+      const { accessToken, refreshToken } = await issueTokens(user, req);
+
+      // Registration still succeeds if the email cannot be sent; the user can ask for a resend
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('🚨 Failed to send verification email:', mailError);
+      }
+      
+      res.status(201).json({
+        success: true,
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          phone: user.phone,
+          role: user.role,
+          isEmailVerified: user.isEmailVerified
+        },
+        accessToken,
+        refreshToken
+      });
+    } else {
+      res.status(400).json({ success: false, message: 'Invalid user data' });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Login user
+// @route   POST /api/users/login
+// @access  Public
+exports.loginUser = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ success: false, message: 'Email and password are required' });
+    }
+
+    // Refuse attempts while the email or IP is slowed down or locked, and
+    // count this one before the password is checked
+    const emailKey = LoginAttempt.emailKey(email);
+    const ipKey = LoginAttempt.ipKey(getClientIp(req));
+    const block = await LoginAttempt.reserveAttempt([emailKey, ipKey]);
+
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(block.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+        success: false,
+        code: block.code,
+        message: block.code === 'ACCOUNT_LOCKED'
+          ? 'Account temporarily locked after too many failed attempts'
+          : 'Too many failed attempts, please wait before trying again',
+        retryAfter: block.retryAfter
+      });
+    }
+
+    // Find user by email
+    const user = await User.findOne({ email });
+
+    // Check if password is correct
+    const isMatch = user ? await user.comparePassword(password) : false;
+    
+    if (!isMatch) {
+      await recordFailedLogin(user, emailKey, ipKey);
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    await Promise.all([LoginAttempt.clear(emailKey), LoginAttempt.release(ipKey)]);
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({ success: false, message: 'Your account has been deactivated' });
+    }
+
+    // Accounts with 2FA get a short-lived challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { id: user._id, purpose: TWO_FACTOR_CHALLENGE },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+
+      console.log(`🔐 Two-factor challenge issued for ${user.email}`);
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to login',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete a login with a 2FA code or a backup code
+// @route   POST /api/users/login/2fa
+// @access  Public (with challenge token)
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_CHALLENGE',
+        message: 'Login challenge is invalid or expired, please log in again'
+      });
+    }
+
+    const user = await User.findOne({ _id: decoded.id, isActive: true })
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_CHALLENGE',
+        message: 'Login challenge is invalid or expired, please log in again'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const emailKey = LoginAttempt.emailKey(user.email);
+    const ipKey = LoginAttempt.ipKey(getClientIp(req));
+    const block = await LoginAttempt.reserveAttempt([emailKey, ipKey]);
+
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(block.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+        success: false,
+        code: block.code,
+        message: 'Too many failed attempts, please wait before trying again',
+        retryAfter: block.retryAfter
+      });
+    }
+
+    if (!checkTwoFactorCode(user, { code, backupCode })) {
+      await recordFailedLogin(user, emailKey, ipKey);
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+    await Promise.all([LoginAttempt.clear(emailKey), LoginAttempt.release(ipKey)]);
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete login',
+      error: error.message
+    });
+  }
+};
+
+// A rotated token being presented again means it was stolen or replayed:
+// revoke the whole token family
+const rejectReusedRefreshToken = async (res, session) => {
+  console.log("🚨 Refresh token reuse detected, revoking session:", session._id.toString());
+  if (!session.revokedAt) {
+    await session.revoke('token_reuse');
+  }
+  return res.status(401).json({
+    success: false,
+    code: 'REFRESH_TOKEN_REUSED',
+    message: 'Refresh token has already been used, please log in again'
+  });
+};
+
+// @desc    Refresh access token
+// @route   POST /api/users/refresh-token
+// @access  Public (with refresh token)
+exports.refreshToken = async (req, res) => {
+  try {
+    console.log("🔄 Refresh token request received");
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      console.log("❌ No refresh token provided");
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Refresh token is required' 
+      });
+    }
+
+    console.log("🔍 Looking for session with refresh token");
+    const tokenHash = Session.hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash })
+      .select('+refreshTokenHash +previousTokenHashes');
+
+    if (!session) {
+      const reusedSession = await Session.findOne({ previousTokenHashes: tokenHash });
+
+      if (reusedSession) {
+        return rejectReusedRefreshToken(res, reusedSession);
+      }
+
+      console.log("👤 No session found for refresh token");
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid or expired refresh token' 
+      });
+    }
+
+    if (!session.isActive()) {
+      console.log("⌛ Session revoked or expired");
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid or expired refresh token' 
+      });
+    }
+
+    const user = await User.findOne({ _id: session.user, isActive: true });
+
+    if (!user) {
+      console.log("👤 No active user for session");
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid or expired refresh token' 
+      });
+    }
+
+    console.log("👤 User found, rotating tokens for:", user.email);
+
+    const { userAgent, ip } = getSessionContext(req);
+    const newRefreshToken = await session.rotate({ userAgent, ip });
+
+    // Another request rotated the same token first
+    if (!newRefreshToken) {
+      return rejectReusedRefreshToken(res, session);
+    }
+
+    const accessToken = generateAccessToken(user, session._id);
+    
+    console.log("✅ New tokens generated successfully");
+    res.status(200).json({
+      success: true,
+      accessToken,
+      refreshToken: newRefreshToken,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        image: user.image,
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  } catch (error) {
+    console.error("🚨 Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Logout user from the current device
+// @route   POST /api/users/logout
+// @access  Private
+exports.logoutUser = async (req, res) => {
+  try {
+    // Revoke the session the access token belongs to, or the one of the
+    // refresh token sent by the client
+    let session = null;
+
+    if (req.sessionId) {
+      session = await Session.findOne({ _id: req.sessionId, user: req.user._id });
+    } else if (req.body.refreshToken) {
+      session = await Session.findOne({
+        refreshTokenHash: Session.hashToken(req.body.refreshToken),
+        user: req.user._id
+      });
+    }
+
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a password reset link by email
+// @route   POST /api/users/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Same answer whether or not the account exists, to avoid leaking emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim(), isActive: true });
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = clientUrl(`/reset-password?token=${resetToken}`);
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Moutouri - Réinitialisation du mot de passe',
+        text: `Bonjour ${user.firstName},\n\nPour réinitialiser votre mot de passe, ouvrez ce lien (valable 1 heure) :\n${resetUrl}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+        html: `<p>Bonjour ${escapeHtml(user.firstName)},</p><p>Pour réinitialiser votre mot de passe, cliquez sur ce lien (valable 1 heure) :</p><p><a href="${resetUrl}">${resetUrl}</a></p><p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.</p>`
+      });
+    } catch (mailError) {
+      // Answer as usual so that a delivery failure does not reveal the account
+      console.error('🚨 Failed to send reset email:', mailError);
+      user.passwordResetToken = null;
+      user.passwordResetExpires = null;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset password with a token received by email
+// @route   POST /api/users/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Token is single-use, and existing sessions are signed out
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    await Session.revokeAll(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address with the token received by email
+// @route   POST /api/users/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_VERIFICATION_TOKEN',
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/users/resend-verification
+// @access  Private
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        code: 'EMAIL_ALREADY_VERIFIED',
+        message: 'Email is already verified'
+      });
+    }
+
+    // Allow one email per minute
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < 60 * 1000) {
+      return res.status(429).json({
+        success: false,
+        code: 'VERIFICATION_EMAIL_THROTTLED',
+        message: 'Please wait a minute before requesting another verification email'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a one-time code by SMS to the user's phone number
+// @route   POST /api/users/phone/request-otp
+// @access  Private
+exports.requestPhoneOtp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+phoneOtp');
+
+    if (user.isPhoneVerified) {
+      return res.status(400).json({
+        success: false,
+        code: 'PHONE_ALREADY_VERIFIED',
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const now = Date.now();
+    const otp = user.phoneOtp || {};
+
+    if (otp.sentAt && now - otp.sentAt.getTime() < OTP_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({
+        success: false,
+        code: 'OTP_THROTTLED',
+        message: 'Please wait a minute before requesting another code'
+      });
+    }
+
+    // Daily send quota, counted from the first code of the window
+    const windowStart = otp.windowStart && now - otp.windowStart.getTime() < 24 * 60 * 60 * 1000
+      ? otp.windowStart
+      : new Date(now);
+    const sendCount = windowStart === otp.windowStart ? otp.sendCount || 0 : 0;
+
+    if (sendCount >= OTP_MAX_SENDS_PER_DAY) {
+      return res.status(429).json({
+        success: false,
+        code: 'OTP_DAILY_LIMIT',
+        message: 'Too many codes requested today, please try again tomorrow'
+      });
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    user.phoneOtp = {
+      codeHash: user.hashPhoneOtp(code),
+      expiresAt: new Date(now + OTP_TTL_MS),
+      attempts: 0,
+      sentAt: new Date(now),
+      sendCount: sendCount + 1,
+      windowStart
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await sendSms(user.phone, `Moutouri : votre code de vérification est ${code}. Il expire dans 10 minutes.`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      expiresAt: user.phoneOtp.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm the phone number with the code received by SMS
+// @route   POST /api/users/phone/verify-otp
+// @access  Private
+exports.verifyPhoneOtp = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    // Count the guess before comparing, atomically, so that parallel
+    // requests cannot try more codes than allowed
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user._id,
+        'phoneOtp.codeHash': { $ne: null },
+        'phoneOtp.expiresAt': { $gt: new Date() },
+        'phoneOtp.attempts': { $lt: OTP_MAX_ATTEMPTS }
+      },
+      { $inc: { 'phoneOtp.attempts': 1 } },
+      { new: true }
+    ).select('+phoneOtp');
+
+    if (!user) {
+      const current = await User.findById(req.user._id).select('+phoneOtp');
+      const otp = current && current.phoneOtp;
+
+      if (!otp || !otp.codeHash || otp.expiresAt < new Date()) {
+        return res.status(400).json({
+          success: false,
+          code: 'OTP_EXPIRED',
+          message: 'Code expired, please request a new one'
+        });
+      }
+
+      return res.status(429).json({
+        success: false,
+        code: 'OTP_TOO_MANY_ATTEMPTS',
+        message: 'Too many wrong codes, please request a new one'
+      });
+    }
+
+    const otp = user.phoneOtp;
+    const isMatch = crypto.timingSafeEqual(
+      Buffer.from(user.hashPhoneOtp(String(code).trim()), 'hex'),
+      Buffer.from(otp.codeHash, 'hex')
+    );
+
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        code: 'OTP_INVALID',
+        message: 'Invalid verification code',
+        attemptsLeft: Math.max(OTP_MAX_ATTEMPTS - otp.attempts, 0)
+      });
+    }
+
+    user.isPhoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    user.phoneOtp = null;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify phone number',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the active sessions of the current user
+// @route   GET /api/users/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceLabel: session.deviceLabel,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: !!req.sessionId && session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke one session of the current user
+// @route   DELETE /api/users/sessions/:sessionId
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: req.user._id });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke every session of the current user except this one
+// @route   DELETE /api/users/sessions/others
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current session is unknown, please log in again'
+      });
+    }
+
+    const result = await Session.revokeAll(req.user._id, 'revoked_others', req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start 2FA enrollment and return the otpauth URI
+// @route   POST /api/users/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        code: 'TWO_FACTOR_ALREADY_ENABLED',
+        message: 'Two-factor authentication is already enabled'
       });
-    } else {
-      res.status(400).json({ success: false, message: 'Invalid user data' });
     }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email })
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to register user',
+      message: 'Failed to start two-factor setup',
       error: error.message
     });
   }
 };
 
-// @desc    Login user
-// @route   POST /api/users/login
-// @access  Public
-exports.loginUser = async (req, res) => {
+// @desc    Confirm 2FA enrollment with a first code and get backup codes
+// @route   POST /api/users/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { code } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorPendingSecret +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        code: 'TWO_FACTOR_ALREADY_ENABLED',
+        message: 'Two-factor authentication is already enabled'
+      });
     }
 
-    // Check if password is correct
-    const isMatch = await user.comparePassword(password);
-    
-    if (!isMatch) {
-      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({ success: false, message: 'Your account has been deactivated' });
+    const step = totp.verifyCode(user.twoFactorPendingSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid authentication code'
+      });
     }
 
-    // Generate tokens
-    const accessToken = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-    
-    // Create a refresh token
-    const refreshToken = crypto.randomBytes(40).toString('hex');
-    
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    user.refreshTokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.save();
-    
-    console.log(`✅ Login successful for ${user.email}`);
-    console.log(`🔑 Generated access token (first 15 chars): ${accessToken.substring(0, 15)}...`);
-    
-    // Clear sensitive data
-    const userToReturn = {
-      id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      image: user.image
-    };
-    
-    // Send response with tokens
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    const backupCodes = user.createTwoFactorBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
     res.status(200).json({
       success: true,
-      user: userToReturn,
-      accessToken,
-      refreshToken
+      message: 'Two-factor authentication enabled',
+      backupCodes
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to login',
+      message: 'Failed to enable two-factor authentication',
       error: error.message
     });
   }
 };
 
-// @desc    Refresh access token
-// @route   POST /api/users/refresh-token
-// @access  Public (with refresh token)
-exports.refreshToken = async (req, res) => {
+// @desc    Replace the 2FA backup codes
+// @route   POST /api/users/2fa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = async (req, res) => {
   try {
-    console.log("🔄 Refresh token request received");
-    const { refreshToken } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
 
-    if (!refreshToken) {
-      console.log("❌ No refresh token provided");
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Refresh token is required' 
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
       });
     }
 
-    console.log("🔍 Looking for user with refresh token");
-    // Find user by refresh token
-    const user = await User.findOne({ 
-      refreshToken,
-      refreshTokenExpiry: { $gt: new Date() } // Check if token is still valid
-    });
-
-    if (!user) {
-      console.log("👤 No user found with valid refresh token");
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid or expired refresh token' 
+    if (!checkTwoFactorCode(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid authentication code'
       });
     }
 
-    console.log("👤 User found, generating new tokens for:", user.email);
-    
-    // Generate new access token
-    const accessToken = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-    
-    // Generate new refresh token
-    const newRefreshToken = crypto.randomBytes(40).toString('hex');
-    user.refreshToken = newRefreshToken;
-    user.refreshTokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.save();
-    
-    console.log("✅ New tokens generated successfully");
+    const backupCodes = user.createTwoFactorBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
     res.status(200).json({
       success: true,
-      accessToken,
-      refreshToken: newRefreshToken,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        image: user.image
-      }
+      backupCodes
     });
   } catch (error) {
-    console.error("🚨 Refresh token error:", error);
     res.status(500).json({
       success: false,
-      message: 'Failed to refresh token',
+      message: 'Failed to regenerate backup codes',
       error: error.message
     });
   }
 };
 
-// @desc    Logout user
-// @route   POST /api/users/logout
+// @desc    Disable 2FA with the password and a code
+// @route   POST /api/users/2fa/disable
 // @access  Private
-exports.logoutUser = async (req, res) => {
+exports.disableTwoFactor = async (req, res) => {
   try {
-    // Clear refresh token in database
-    const user = await User.findById(req.user.id);
-    
-    if (user) {
-      user.refreshToken = null;
-      user.refreshTokenExpiry = null;
-      await user.save();
+    const { password, code, backupCode } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.role === 'admin' && await Setting.getValue('security.requireAdminTwoFactor', false)) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Two-factor authentication is mandatory for admin accounts'
+      });
     }
 
+    if (!password || !(await user.comparePassword(password)) || !checkTwoFactorCode(user, { code, backupCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = null;
+    user.twoFactorSecret = null;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastUsedStep = null;
+    await user.save({ validateBeforeSave: false });
+
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Two-factor authentication disabled'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to logout',
+      message: 'Failed to disable two-factor authentication',
       error: error.message
     });
   }
@@ -281,7 +1208,12 @@ exports.getUserProfile = async (req, res) => {
         lastName: user.lastName,
         email: user.email,
         role: user.role,
-        image: user.image || null
+        image: user.image || null,
+        isEmailVerified: user.isEmailVerified,
+        isPhoneVerified: user.isPhoneVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        contactPreferences: user.contactPreferences,
+        permissions: getRolePermissions(user.role)
       }
     });
   } catch (error) {
@@ -312,6 +1244,13 @@ exports.updateUserProfile = async (req, res) => {
         ...(req.body.firstName && { firstName: req.body.firstName }),
         ...(req.body.lastName && { lastName: req.body.lastName }),
         ...(req.body.phone && { phone: req.body.phone }),
+        // A new phone number has to be verified again, the code sent to the
+        // previous one is dropped (the daily send quota is kept)
+        ...(req.body.phone && req.body.phone !== req.user.phone && {
+          isPhoneVerified: false,
+          phoneVerifiedAt: null,
+          $unset: { 'phoneOtp.codeHash': 1, 'phoneOtp.expiresAt': 1, 'phoneOtp.attempts': 1 }
+        }),
         ...(image && { image }), // Add image path if a file was uploaded
         updatedAt: Date.now()
       },
@@ -339,13 +1278,143 @@ exports.updateUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Choose whether the phone and email are shown on listings
+// @route   PUT /api/users/contact-preferences
+// @access  Private
+exports.updateContactPreferences = async (req, res) => {
+  try {
+    const updates = {};
+
+    for (const field of ['hidePhone', 'hideEmail']) {
+      if (req.body[field] === undefined) continue;
+
+      if (typeof req.body[field] !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a boolean`
+        });
+      }
+      updates[`contactPreferences.${field}`] = req.body[field];
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true }
+    ).select('contactPreferences');
+
+    res.status(200).json({
+      success: true,
+      contactPreferences: user.contactPreferences
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update contact preferences',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the users blocked by the current user
+// @route   GET /api/users/blocked
+// @access  Private
+exports.getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blockedUsers')
+      .populate('blockedUsers', 'firstName lastName image');
+
+    res.status(200).json({
+      success: true,
+      count: user.blockedUsers.length,
+      blockedUsers: user.blockedUsers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blocked users',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Block a user, who can no longer message the current user
+// @route   POST /api/users/blocked/:userId
+// @access  Private
+exports.blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: userId } });
+
+    res.status(200).json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to block user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unblock a user
+// @route   DELETE /api/users/blocked/:userId
+// @access  Private
+exports.unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: userId } });
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unblock user',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
 exports.deleteUser = async (req, res) => {
   try {
-    // Only allow admins or the user themselves to delete their account
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    // Only allow user managers or the user themselves to delete their account
+    if (!hasPermission(req.user, 'users:manage') && req.user.id !== req.params.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this user'
@@ -359,10 +1428,24 @@ exports.deleteUser = async (req, res) => {
     }
 
     // Soft delete - set isActive to false
+    const before = snapshot(user);
     user.isActive = false;
     user.updatedAt = Date.now();
     await user.save();
 
+    // Deactivating someone else's account is a privileged action
+    if (req.user.id !== req.params.id) {
+      await recordAudit(req, {
+        action: 'user.deactivate',
+        targetType: 'User',
+        targetId: user._id,
+        before,
+        after: user
+      });
+    }
+
+    await Session.revokeAll(user._id, 'account_deactivated');
+
     // Alternatively, for hard delete:
     // await User.findByIdAndDelete(req.params.id);
 
@@ -400,20 +1483,32 @@ exports.getAllUsers = async (req, res) => {
   }
 };
 
-// @desc    Get user by ID
+// @desc    Get a seller profile. The owner and user managers also get the
+//          private fields.
 // @route   GET /api/users/:id
-// @access  Private/Admin
+// @access  Public
 exports.getUserById = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const canSeePrivate = !!req.user &&
+      (req.user._id.toString() === req.params.id || hasPermission(req.user, 'users:read'));
+
+    const user = await User.findById(req.params.id).select(PRIVATE_PROFILE_FIELDS);
     
-    if (!user) {
+    if (!user || (!user.isActive && !canSeePrivate)) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
     res.status(200).json({
       success: true,
-      user
+      profile: await buildPublicProfile(user),
+      ...(canSeePrivate && { user })
     });
   } catch (error) {
     res.status(500).json({
@@ -429,16 +1524,30 @@ exports.getUserById = async (req, res) => {
 // @access  Public
 exports.getUserProducts = async (req, res) => {
   try {
-    const products = await Product.find({ 
-      publisher: req.params.id,
-      isActive: true 
-    }).populate('category', 'name slug');
-    
-    res.status(200).json({
-      success: true,
-      count: products.length,
-      products
-    });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const result = await paginate(
+      Product,
+      { user: req.params.id, status: PUBLIC_STATUS },
+      pagination,
+      { populate: PRODUCT_LIST_POPULATE, select: PRODUCT_STAFF_FIELDS }
+    );
+
+    res.status(200).json(productPageResponse(result));
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -448,23 +1557,23 @@ exports.getUserProducts = async (req, res) => {
   }
 };
 
-// @desc    Change user role (admin only)
+// @desc    Change user role
 // @route   PUT /api/users/:id/role
-// @access  Private/Admin
+// @access  Private (roles:manage)
 exports.changeUserRole = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
+    const { role } = req.body;
+    if (!role || !ROLES.includes(role)) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to change user roles'
+        message: `Invalid role specified, must be one of: ${ROLES.join(', ')}`
       });
     }
 
-    const { role } = req.body;
-    if (!role || !['user', 'admin'].includes(role)) {
+    if (req.params.id === req.user._id.toString() && role !== req.user.role) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role specified'
+        message: 'You cannot change your own role'
       });
     }
 
@@ -474,10 +1583,19 @@ exports.changeUserRole = async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    const before = snapshot(user);
     user.role = role;
     user.updatedAt = Date.now();
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: user
+    });
+
     res.status(200).json({
       success: true,
       message: `User role updated to ${role}`,
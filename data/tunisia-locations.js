@@ -0,0 +1,396 @@
+// Tunisian governorates and all their delegations, with the coordinates of
+// their administrative centre (WGS84). Listings store the coordinates of
+// their delegation, or of their governorate, never the seller's address.
+// `aliases` are other spellings found in free-text locations.
+
+const GOVERNORATES = [
+  {
+    code: 'tunis', name: 'Tunis', nameAr: 'تونس', lat: 36.8065, lng: 10.1815,
+    delegations: [
+      { code: 'bab-bhar', name: 'Bab Bhar', aliases: ['Bab El Bhar'], lat: 36.7990, lng: 10.1800 },
+      { code: 'bab-souika', name: 'Bab Souika', lat: 36.8040, lng: 10.1680 },
+      { code: 'carthage', name: 'Carthage', lat: 36.8528, lng: 10.3233 },
+      { code: 'cite-el-khadra', name: 'Cité El Khadra', lat: 36.8300, lng: 10.1900 },
+      { code: 'djebel-jelloud', name: 'Djebel Jelloud', lat: 36.7700, lng: 10.2030 },
+      { code: 'el-kabaria', name: 'El Kabaria', lat: 36.7670, lng: 10.1780 },
+      { code: 'el-menzah', name: 'El Menzah', lat: 36.8400, lng: 10.1650 },
+      { code: 'el-omrane', name: 'El Omrane', lat: 36.8210, lng: 10.1500 },
+      { code: 'el-omrane-superieur', name: 'El Omrane Supérieur', lat: 36.8300, lng: 10.1450 },
+      { code: 'el-ouardia', name: 'El Ouardia', lat: 36.7820, lng: 10.1880 },
+      { code: 'ettahrir', name: 'Ettahrir', lat: 36.8170, lng: 10.1330 },
+      { code: 'ezzouhour', name: 'Ezzouhour', lat: 36.7960, lng: 10.1280 },
+      { code: 'hrairia', name: 'Hraïria', lat: 36.7780, lng: 10.1170 },
+      { code: 'la-goulette', name: 'La Goulette', lat: 36.8181, lng: 10.3050 },
+      { code: 'la-marsa', name: 'La Marsa', aliases: ['Marsa', 'المرسى'], lat: 36.8782, lng: 10.3247 },
+      { code: 'le-bardo', name: 'Le Bardo', lat: 36.8092, lng: 10.1406 },
+      { code: 'le-kram', name: 'Le Kram', lat: 36.8333, lng: 10.3167 },
+      { code: 'medina', name: 'Médina', lat: 36.7990, lng: 10.1700 },
+      { code: 'sejoumi', name: 'Séjoumi', lat: 36.7800, lng: 10.1550 },
+      { code: 'sidi-el-bechir', name: 'Sidi El Béchir', lat: 36.7900, lng: 10.1800 },
+      { code: 'sidi-hassine', name: 'Sidi Hassine', lat: 36.7600, lng: 10.1200 }
+    ]
+  },
+  {
+    code: 'ariana', name: 'Ariana', nameAr: 'أريانة', lat: 36.8625, lng: 10.1956,
+    delegations: [
+      { code: 'ariana-ville', name: 'Ariana Ville', lat: 36.8625, lng: 10.1956 },
+      { code: 'la-soukra', name: 'La Soukra', lat: 36.8733, lng: 10.2483 },
+      { code: 'raoued', name: 'Raoued', lat: 36.9300, lng: 10.1900 },
+      { code: 'ettadhamen', name: 'Ettadhamen', lat: 36.8380, lng: 10.1030 },
+      { code: 'mnihla', name: 'Mnihla', lat: 36.8560, lng: 10.1160 },
+      { code: 'kalaat-el-andalous', name: 'Kalâat el-Andalous', lat: 37.0630, lng: 10.1180 },
+      { code: 'sidi-thabet', name: 'Sidi Thabet', lat: 36.9100, lng: 10.0400 }
+    ]
+  },
+  {
+    code: 'ben-arous', name: 'Ben Arous', nameAr: 'بن عروس', lat: 36.7531, lng: 10.2189,
+    delegations: [
+      { code: 'ben-arous', name: 'Ben Arous', lat: 36.7531, lng: 10.2189 },
+      { code: 'bou-mhel', name: 'Bou Mhel el-Bassatine', aliases: ['Boumhel'], lat: 36.7300, lng: 10.2950 },
+      { code: 'el-mourouj', name: 'El Mourouj', lat: 36.7350, lng: 10.2100 },
+      { code: 'ezzahra', name: 'Ezzahra', lat: 36.7439, lng: 10.3083 },
+      { code: 'fouchana', name: 'Fouchana', lat: 36.6990, lng: 10.1700 },
+      { code: 'hammam-chott', name: 'Hammam Chott', lat: 36.7200, lng: 10.3800 },
+      { code: 'hammam-lif', name: 'Hammam Lif', lat: 36.7292, lng: 10.3411 },
+      { code: 'medina-jedida', name: 'Médina Jedida', lat: 36.7150, lng: 10.2100 },
+      { code: 'megrine', name: 'Mégrine', lat: 36.7700, lng: 10.2330 },
+      { code: 'mohamedia', name: 'Mohamedia', lat: 36.6800, lng: 10.1580 },
+      { code: 'mornag', name: 'Mornag', lat: 36.6797, lng: 10.2881 },
+      { code: 'rades', name: 'Radès', lat: 36.7683, lng: 10.2753 }
+    ]
+  },
+  {
+    code: 'manouba', name: 'Manouba', nameAr: 'منوبة', lat: 36.8101, lng: 10.0956,
+    delegations: [
+      { code: 'manouba', name: 'La Manouba', aliases: ['Manouba'], lat: 36.8101, lng: 10.0956 },
+      { code: 'borj-el-amri', name: 'Borj El Amri', lat: 36.7150, lng: 9.9300 },
+      { code: 'den-den', name: 'Den Den', lat: 36.8050, lng: 10.1140 },
+      { code: 'djedeida', name: 'Djedeida', lat: 36.8490, lng: 9.9300 },
+      { code: 'douar-hicher', name: 'Douar Hicher', lat: 36.8280, lng: 10.0880 },
+      { code: 'el-batan', name: 'El Batan', lat: 36.8040, lng: 9.8420 },
+      { code: 'mornaguia', name: 'Mornaguia', lat: 36.7600, lng: 10.0150 },
+      { code: 'oued-ellil', name: 'Oued Ellil', lat: 36.8340, lng: 10.0410 },
+      { code: 'tebourba', name: 'Tebourba', lat: 36.8290, lng: 9.8410 }
+    ]
+  },
+  {
+    code: 'nabeul', name: 'Nabeul', nameAr: 'نابل', lat: 36.4561, lng: 10.7376,
+    delegations: [
+      { code: 'nabeul', name: 'Nabeul', lat: 36.4561, lng: 10.7376 },
+      { code: 'beni-khalled', name: 'Béni Khalled', lat: 36.6480, lng: 10.5960 },
+      { code: 'beni-khiar', name: 'Béni Khiar', lat: 36.4669, lng: 10.7828 },
+      { code: 'bou-argoub', name: 'Bou Argoub', lat: 36.5300, lng: 10.5500 },
+      { code: 'dar-chaabane', name: 'Dar Chaâbane El Fehri', aliases: ['Dar Chaabane'], lat: 36.4700, lng: 10.7500 },
+      { code: 'el-haouaria', name: 'El Haouaria', lat: 37.0500, lng: 11.0100 },
+      { code: 'el-mida', name: 'El Mida', lat: 36.7300, lng: 10.8600 },
+      { code: 'grombalia', name: 'Grombalia', lat: 36.6000, lng: 10.5000 },
+      { code: 'hammam-ghezeze', name: 'Hammam Ghezèze', lat: 36.8880, lng: 11.1180 },
+      { code: 'hammamet', name: 'Hammamet', aliases: ['الحمامات'], lat: 36.4000, lng: 10.6167 },
+      { code: 'kelibia', name: 'Kélibia', aliases: ['Klibia', 'قليبية'], lat: 36.8475, lng: 11.0939 },
+      { code: 'korba', name: 'Korba', lat: 36.5786, lng: 10.8586 },
+      { code: 'menzel-bouzelfa', name: 'Menzel Bouzelfa', lat: 36.6830, lng: 10.5850 },
+      { code: 'menzel-temime', name: 'Menzel Temime', lat: 36.7800, lng: 10.9870 },
+      { code: 'soliman', name: 'Soliman', lat: 36.6967, lng: 10.4906 },
+      { code: 'takelsa', name: 'Takelsa', lat: 36.7900, lng: 10.6300 }
+    ]
+  },
+  {
+    code: 'zaghouan', name: 'Zaghouan', nameAr: 'زغوان', lat: 36.4029, lng: 10.1429,
+    delegations: [
+      { code: 'zaghouan', name: 'Zaghouan', lat: 36.4029, lng: 10.1429 },
+      { code: 'bir-mcherga', name: 'Bir Mcherga', lat: 36.5000, lng: 10.0200 },
+      { code: 'el-fahs', name: 'El Fahs', lat: 36.3747, lng: 9.9061 },
+      { code: 'nadhour', name: 'Nadhour', lat: 36.1200, lng: 10.0900 },
+      { code: 'saouaf', name: 'Saouaf', lat: 36.2300, lng: 10.1900 },
+      { code: 'zriba', name: 'Zriba', lat: 36.3300, lng: 10.2300 }
+    ]
+  },
+  {
+    code: 'bizerte', name: 'Bizerte', nameAr: 'بنزرت', lat: 37.2744, lng: 9.8739,
+    delegations: [
+      { code: 'bizerte', name: 'Bizerte Nord', aliases: ['Bizerte'], lat: 37.2744, lng: 9.8739 },
+      { code: 'bizerte-sud', name: 'Bizerte Sud', lat: 37.2450, lng: 9.8500 },
+      { code: 'el-alia', name: 'El Alia', lat: 37.1700, lng: 10.0300 },
+      { code: 'ghar-el-melh', name: 'Ghar El Melh', lat: 37.1700, lng: 10.1900 },
+      { code: 'ghezala', name: 'Ghezala', lat: 37.0900, lng: 9.5400 },
+      { code: 'joumine', name: 'Joumine', lat: 36.9800, lng: 9.4300 },
+      { code: 'mateur', name: 'Mateur', lat: 37.0400, lng: 9.6650 },
+      { code: 'menzel-bourguiba', name: 'Menzel Bourguiba', lat: 37.1536, lng: 9.7856 },
+      { code: 'menzel-jemil', name: 'Menzel Jemil', lat: 37.2400, lng: 9.9200 },
+      { code: 'ras-jebel', name: 'Ras Jebel', lat: 37.2150, lng: 10.1200 },
+      { code: 'sejnane', name: 'Sejnane', lat: 37.0560, lng: 9.2380 },
+      { code: 'tinja', name: 'Tinja', lat: 37.1620, lng: 9.7580 },
+      { code: 'utique', name: 'Utique', lat: 37.0560, lng: 10.0600 },
+      { code: 'zarzouna', name: 'Zarzouna', lat: 37.2550, lng: 9.8800 }
+    ]
+  },
+  {
+    code: 'beja', name: 'Béja', nameAr: 'باجة', lat: 36.7256, lng: 9.1817,
+    delegations: [
+      { code: 'beja', name: 'Béja Nord', aliases: ['Béja'], lat: 36.7256, lng: 9.1817 },
+      { code: 'beja-sud', name: 'Béja Sud', lat: 36.7000, lng: 9.1900 },
+      { code: 'amdoun', name: 'Amdoun', lat: 36.7700, lng: 9.0800 },
+      { code: 'goubellat', name: 'Goubellat', lat: 36.5350, lng: 9.6650 },
+      { code: 'medjez-el-bab', name: 'Medjez el-Bab', lat: 36.6500, lng: 9.6000 },
+      { code: 'nefza', name: 'Nefza', lat: 36.9700, lng: 9.0800 },
+      { code: 'teboursouk', name: 'Téboursouk', lat: 36.4570, lng: 9.2480 },
+      { code: 'testour', name: 'Testour', lat: 36.5511, lng: 9.4431 },
+      { code: 'thibar', name: 'Thibar', lat: 36.5200, lng: 9.1000 }
+    ]
+  },
+  {
+    code: 'jendouba', name: 'Jendouba', nameAr: 'جندوبة', lat: 36.5011, lng: 8.7802,
+    delegations: [
+      { code: 'jendouba', name: 'Jendouba', lat: 36.5011, lng: 8.7802 },
+      { code: 'jendouba-nord', name: 'Jendouba Nord', lat: 36.5300, lng: 8.7900 },
+      { code: 'ain-draham', name: 'Aïn Draham', lat: 36.7833, lng: 8.6833 },
+      { code: 'balta-bou-aouane', name: 'Balta-Bou Aouane', lat: 36.7000, lng: 8.9200 },
+      { code: 'bou-salem', name: 'Bou Salem', lat: 36.6111, lng: 8.9700 },
+      { code: 'fernana', name: 'Fernana', lat: 36.6550, lng: 8.6950 },
+      { code: 'ghardimaou', name: 'Ghardimaou', lat: 36.4500, lng: 8.4333 },
+      { code: 'oued-meliz', name: 'Oued Meliz', lat: 36.4700, lng: 8.5500 },
+      { code: 'tabarka', name: 'Tabarka', aliases: ['طبرقة'], lat: 36.9544, lng: 8.7580 }
+    ]
+  },
+  {
+    code: 'kef', name: 'Le Kef', nameAr: 'الكاف', aliases: ['El Kef', 'Kef'], lat: 36.1822, lng: 8.7148,
+    delegations: [
+      { code: 'le-kef', name: 'Kef Est', aliases: ['Le Kef', 'El Kef'], lat: 36.1822, lng: 8.7148 },
+      { code: 'kef-ouest', name: 'Kef Ouest', lat: 36.1700, lng: 8.6900 },
+      { code: 'dahmani', name: 'Dahmani', lat: 35.9450, lng: 8.8300 },
+      { code: 'el-ksour', name: 'El Ksour', lat: 35.9000, lng: 8.8800 },
+      { code: 'jerissa', name: 'Jérissa', lat: 35.8500, lng: 8.6300 },
+      { code: 'kalaat-khasba', name: 'Kalâat Khasba', lat: 35.6600, lng: 8.5900 },
+      { code: 'kalaat-senan', name: 'Kalâat Senan', lat: 35.7600, lng: 8.3600 },
+      { code: 'nebeur', name: 'Nebeur', lat: 36.3000, lng: 8.7700 },
+      { code: 'sakiet-sidi-youssef', name: 'Sakiet Sidi Youssef', lat: 36.2230, lng: 8.3560 },
+      { code: 'sers', name: 'Sers', lat: 36.0800, lng: 9.0200 },
+      { code: 'tajerouine', name: 'Tajerouine', lat: 35.8900, lng: 8.5500 }
+    ]
+  },
+  {
+    code: 'siliana', name: 'Siliana', nameAr: 'سليانة', lat: 36.0849, lng: 9.3708,
+    delegations: [
+      { code: 'siliana', name: 'Siliana Nord', aliases: ['Siliana'], lat: 36.0849, lng: 9.3708 },
+      { code: 'siliana-sud', name: 'Siliana Sud', lat: 36.0600, lng: 9.3800 },
+      { code: 'bargou', name: 'Bargou', lat: 36.1000, lng: 9.6100 },
+      { code: 'bou-arada', name: 'Bou Arada', lat: 36.3530, lng: 9.6200 },
+      { code: 'el-aroussa', name: 'El Aroussa', lat: 36.3800, lng: 9.4500 },
+      { code: 'el-krib', name: 'El Krib', lat: 36.2500, lng: 9.1400 },
+      { code: 'gaafour', name: 'Gaâfour', lat: 36.3220, lng: 9.3250 },
+      { code: 'kesra', name: 'Kesra', lat: 35.8130, lng: 9.3640 },
+      { code: 'makthar', name: 'Makthar', lat: 35.8570, lng: 9.2000 },
+      { code: 'rouhia', name: 'Rouhia', lat: 35.6600, lng: 9.0500 },
+      { code: 'sidi-bou-rouis', name: 'Sidi Bou Rouis', lat: 36.1800, lng: 9.1300 }
+    ]
+  },
+  {
+    code: 'sousse', name: 'Sousse', nameAr: 'سوسة', lat: 35.8256, lng: 10.6084,
+    delegations: [
+      { code: 'sousse-medina', name: 'Sousse Médina', lat: 35.8256, lng: 10.6369 },
+      { code: 'sousse-jawhara', name: 'Sousse Jawhara', lat: 35.8200, lng: 10.6000 },
+      { code: 'sousse-riadh', name: 'Sousse Riadh', lat: 35.8000, lng: 10.6100 },
+      { code: 'sousse-sidi-abdelhamid', name: 'Sousse Sidi Abdelhamid', lat: 35.7900, lng: 10.6400 },
+      { code: 'akouda', name: 'Akouda', lat: 35.8690, lng: 10.5650 },
+      { code: 'bouficha', name: 'Bouficha', lat: 36.3000, lng: 10.4500 },
+      { code: 'enfidha', name: 'Enfidha', lat: 36.1350, lng: 10.3800 },
+      { code: 'hammam-sousse', name: 'Hammam Sousse', lat: 35.8608, lng: 10.5931 },
+      { code: 'hergla', name: 'Hergla', lat: 36.0300, lng: 10.5100 },
+      { code: 'kalaa-kebira', name: 'Kalâa Kebira', lat: 35.8667, lng: 10.5333 },
+      { code: 'kalaa-seghira', name: 'Kalâa Seghira', lat: 35.8200, lng: 10.5600 },
+      { code: 'kondar', name: 'Kondar', lat: 35.9300, lng: 10.3000 },
+      { code: 'msaken', name: 'Msaken', aliases: ['M\'saken', 'مساكن'], lat: 35.7300, lng: 10.5800 },
+      { code: 'sidi-bou-ali', name: 'Sidi Bou Ali', lat: 35.9550, lng: 10.4730 },
+      { code: 'sidi-el-hani', name: 'Sidi El Hani', lat: 35.6700, lng: 10.3200 },
+      { code: 'zaouiet-sousse', name: 'Zaouiet Ksibet Thrayet', aliases: ['Zaouiet Sousse'], lat: 35.7800, lng: 10.6050 }
+    ]
+  },
+  {
+    code: 'monastir', name: 'Monastir', nameAr: 'المنستير', lat: 35.7643, lng: 10.8113,
+    delegations: [
+      { code: 'monastir', name: 'Monastir', lat: 35.7643, lng: 10.8113 },
+      { code: 'bekalta', name: 'Bekalta', lat: 35.6180, lng: 11.0000 },
+      { code: 'bembla', name: 'Bembla', lat: 35.7000, lng: 10.8000 },
+      { code: 'beni-hassen', name: 'Beni Hassen', lat: 35.5700, lng: 10.8200 },
+      { code: 'jemmal', name: 'Jemmal', lat: 35.6230, lng: 10.7580 },
+      { code: 'ksar-hellal', name: 'Ksar Hellal', lat: 35.6430, lng: 10.8910 },
+      { code: 'ksibet-el-mediouni', name: 'Ksibet el-Médiouni', lat: 35.6850, lng: 10.8430 },
+      { code: 'moknine', name: 'Moknine', lat: 35.6333, lng: 10.9000 },
+      { code: 'ouerdanine', name: 'Ouerdanine', lat: 35.7100, lng: 10.6700 },
+      { code: 'sahline', name: 'Sahline', lat: 35.7500, lng: 10.7100 },
+      { code: 'sayada-lamta-bou-hajar', name: 'Sayada-Lamta-Bou Hajar', aliases: ['Sayada', 'Lamta'], lat: 35.6700, lng: 10.8900 },
+      { code: 'teboulba', name: 'Téboulba', lat: 35.6450, lng: 10.9600 },
+      { code: 'zeramdine', name: 'Zéramdine', lat: 35.5800, lng: 10.7300 }
+    ]
+  },
+  {
+    code: 'mahdia', name: 'Mahdia', nameAr: 'المهدية', lat: 35.5047, lng: 11.0622,
+    delegations: [
+      { code: 'mahdia', name: 'Mahdia', lat: 35.5047, lng: 11.0622 },
+      { code: 'bou-merdes', name: 'Bou Merdes', lat: 35.4600, lng: 10.7300 },
+      { code: 'chebba', name: 'Chebba', lat: 35.2370, lng: 11.1150 },
+      { code: 'chorbane', name: 'Chorbane', lat: 35.2850, lng: 10.3850 },
+      { code: 'el-jem', name: 'El Jem', lat: 35.3000, lng: 10.7167 },
+      { code: 'essouassi', name: 'Essouassi', lat: 35.3500, lng: 10.5500 },
+      { code: 'hebira', name: 'Hebira', lat: 35.1700, lng: 10.4600 },
+      { code: 'ksour-essef', name: 'Ksour Essef', lat: 35.4180, lng: 10.9940 },
+      { code: 'melloulech', name: 'Melloulèche', lat: 35.1670, lng: 11.0330 },
+      { code: 'ouled-chamekh', name: 'Ouled Chamekh', lat: 35.1200, lng: 10.3400 },
+      { code: 'sidi-alouane', name: 'Sidi Alouane', lat: 35.3750, lng: 10.9400 }
+    ]
+  },
+  {
+    code: 'sfax', name: 'Sfax', nameAr: 'صفاقس', lat: 34.7406, lng: 10.7603,
+    delegations: [
+      { code: 'sfax-ville', name: 'Sfax Ville', lat: 34.7406, lng: 10.7603 },
+      { code: 'sfax-ouest', name: 'Sfax Ouest', lat: 34.7600, lng: 10.7100 },
+      { code: 'sfax-sud', name: 'Sfax Sud', lat: 34.7000, lng: 10.7200 },
+      { code: 'agareb', name: 'Agareb', lat: 34.7400, lng: 10.5200 },
+      { code: 'bir-ali-ben-khalifa', name: 'Bir Ali Ben Khalifa', lat: 34.7300, lng: 10.1000 },
+      { code: 'el-amra', name: 'El Amra', lat: 34.9700, lng: 10.8000 },
+      { code: 'el-hencha', name: 'El Hencha', lat: 35.0000, lng: 10.7400 },
+      { code: 'ghraiba', name: 'Ghraïba', lat: 34.5300, lng: 10.2200 },
+      { code: 'jebiniana', name: 'Jebiniana', lat: 35.0350, lng: 10.9080 },
+      { code: 'kerkennah', name: 'Kerkennah', lat: 34.7000, lng: 11.1800 },
+      { code: 'mahres', name: 'Mahrès', lat: 34.5300, lng: 10.5000 },
+      { code: 'menzel-chaker', name: 'Menzel Chaker', lat: 34.9600, lng: 10.3700 },
+      { code: 'sakiet-eddaier', name: 'Sakiet Eddaïer', lat: 34.8000, lng: 10.7800 },
+      { code: 'sakiet-ezzit', name: 'Sakiet Ezzit', lat: 34.8000, lng: 10.7600 },
+      { code: 'skhira', name: 'Skhira', lat: 34.3000, lng: 10.0700 },
+      { code: 'thyna', name: 'Thyna', lat: 34.6800, lng: 10.7000 }
+    ]
+  },
+  {
+    code: 'kairouan', name: 'Kairouan', nameAr: 'القيروان', lat: 35.6781, lng: 10.0963,
+    delegations: [
+      { code: 'kairouan', name: 'Kairouan Nord', aliases: ['Kairouan'], lat: 35.6781, lng: 10.0963 },
+      { code: 'kairouan-sud', name: 'Kairouan Sud', lat: 35.6500, lng: 10.0900 },
+      { code: 'bou-hajla', name: 'Bou Hajla', lat: 35.3500, lng: 10.0500 },
+      { code: 'chebika', name: 'Chebika', lat: 35.6100, lng: 9.9300 },
+      { code: 'echrarda', name: 'Echrarda', lat: 35.2400, lng: 9.9800 },
+      { code: 'el-ala', name: 'El Ala', lat: 35.6000, lng: 9.5600 },
+      { code: 'haffouz', name: 'Haffouz', lat: 35.6330, lng: 9.6770 },
+      { code: 'hajeb-el-ayoun', name: 'Hajeb El Ayoun', lat: 35.3900, lng: 9.5400 },
+      { code: 'nasrallah', name: 'Nasrallah', lat: 35.3500, lng: 9.8300 },
+      { code: 'oueslatia', name: 'Oueslatia', lat: 35.8400, lng: 9.5900 },
+      { code: 'sbikha', name: 'Sbikha', lat: 35.9330, lng: 10.0200 }
+    ]
+  },
+  {
+    code: 'kasserine', name: 'Kasserine', nameAr: 'القصرين', lat: 35.1676, lng: 8.8365,
+    delegations: [
+      { code: 'kasserine', name: 'Kasserine Nord', aliases: ['Kasserine'], lat: 35.1676, lng: 8.8365 },
+      { code: 'kasserine-sud', name: 'Kasserine Sud', lat: 35.1500, lng: 8.8300 },
+      { code: 'el-ayoun', name: 'El Ayoun', lat: 35.5600, lng: 8.8900 },
+      { code: 'kasserine-ezzouhour', name: 'Ezzouhour', lat: 35.1900, lng: 8.8600 },
+      { code: 'feriana', name: 'Fériana', lat: 34.9500, lng: 8.5667 },
+      { code: 'foussana', name: 'Foussana', lat: 35.3400, lng: 8.6200 },
+      { code: 'haidra', name: 'Haïdra', lat: 35.5650, lng: 8.4600 },
+      { code: 'hassi-el-ferid', name: 'Hassi El Ferid', lat: 34.9500, lng: 8.9300 },
+      { code: 'jedelienne', name: 'Jedelienne', lat: 35.6200, lng: 9.0500 },
+      { code: 'majel-bel-abbes', name: 'Majel Bel Abbès', lat: 34.7600, lng: 8.6500 },
+      { code: 'sbeitla', name: 'Sbeïtla', lat: 35.2300, lng: 9.1300 },
+      { code: 'sbiba', name: 'Sbiba', lat: 35.5450, lng: 9.0750 },
+      { code: 'thala', name: 'Thala', lat: 35.5700, lng: 8.6700 }
+    ]
+  },
+  {
+    code: 'sidi-bouzid', name: 'Sidi Bouzid', nameAr: 'سيدي بوزيد', lat: 35.0382, lng: 9.4849,
+    delegations: [
+      { code: 'sidi-bouzid', name: 'Sidi Bouzid Ouest', aliases: ['Sidi Bouzid'], lat: 35.0382, lng: 9.4849 },
+      { code: 'sidi-bouzid-est', name: 'Sidi Bouzid Est', lat: 35.0300, lng: 9.5300 },
+      { code: 'bir-el-hafey', name: 'Bir El Hafey', lat: 34.9300, lng: 9.2000 },
+      { code: 'cebbala-ouled-asker', name: 'Cebbala Ouled Asker', lat: 35.1500, lng: 9.1300 },
+      { code: 'jelma', name: 'Jelma', lat: 35.2700, lng: 9.4200 },
+      { code: 'meknassy', name: 'Meknassy', lat: 34.6100, lng: 9.6000 },
+      { code: 'menzel-bouzaiane', name: 'Menzel Bouzaiane', lat: 34.5800, lng: 9.4200 },
+      { code: 'mezzouna', name: 'Mezzouna', lat: 34.5800, lng: 9.8400 },
+      { code: 'ouled-haffouz', name: 'Ouled Haffouz', lat: 35.2000, lng: 9.6700 },
+      { code: 'regueb', name: 'Regueb', lat: 34.8600, lng: 9.7900 },
+      { code: 'sidi-ali-ben-aoun', name: 'Sidi Ali Ben Aoun', lat: 34.7300, lng: 9.0600 },
+      { code: 'souk-jedid', name: 'Souk Jedid', lat: 34.8700, lng: 9.6000 }
+    ]
+  },
+  {
+    code: 'gabes', name: 'Gabès', nameAr: 'قابس', lat: 33.8815, lng: 10.0982,
+    delegations: [
+      { code: 'gabes', name: 'Gabès Médina', aliases: ['Gabès'], lat: 33.8815, lng: 10.0982 },
+      { code: 'gabes-ouest', name: 'Gabès Ouest', lat: 33.8900, lng: 10.0700 },
+      { code: 'gabes-sud', name: 'Gabès Sud', lat: 33.8600, lng: 10.1000 },
+      { code: 'el-hamma', name: 'El Hamma', lat: 33.8900, lng: 9.8000 },
+      { code: 'ghannouch', name: 'Ghannouch', lat: 33.9300, lng: 10.0600 },
+      { code: 'mareth', name: 'Mareth', lat: 33.6300, lng: 10.3000 },
+      { code: 'matmata', name: 'Matmata', lat: 33.5450, lng: 9.9680 },
+      { code: 'menzel-el-habib', name: 'Menzel El Habib', lat: 34.1800, lng: 9.7800 },
+      { code: 'metouia', name: 'Métouia', lat: 33.9600, lng: 10.0000 },
+      { code: 'nouvelle-matmata', name: 'Nouvelle Matmata', lat: 33.7100, lng: 9.9900 }
+    ]
+  },
+  {
+    code: 'medenine', name: 'Médenine', nameAr: 'مدنين', lat: 33.3549, lng: 10.5055,
+    delegations: [
+      { code: 'medenine', name: 'Médenine Nord', aliases: ['Médenine'], lat: 33.3549, lng: 10.5055 },
+      { code: 'medenine-sud', name: 'Médenine Sud', lat: 33.3300, lng: 10.4900 },
+      { code: 'ben-gardane', name: 'Ben Gardane', lat: 33.1380, lng: 11.2180 },
+      { code: 'beni-khedache', name: 'Beni Khedache', lat: 33.2500, lng: 10.2000 },
+      { code: 'djerba-ajim', name: 'Djerba Ajim', lat: 33.7200, lng: 10.7500 },
+      { code: 'houmt-souk', name: 'Djerba Houmt Souk', aliases: ['Djerba', 'Jerba', 'جربة'], lat: 33.8760, lng: 10.8570 },
+      { code: 'midoun', name: 'Djerba Midoun', lat: 33.8080, lng: 10.9920 },
+      { code: 'sidi-makhlouf', name: 'Sidi Makhlouf', lat: 33.4900, lng: 10.4600 },
+      { code: 'zarzis', name: 'Zarzis', aliases: ['جرجيس'], lat: 33.5040, lng: 11.1120 }
+    ]
+  },
+  {
+    code: 'tataouine', name: 'Tataouine', nameAr: 'تطاوين', lat: 32.9297, lng: 10.4518,
+    delegations: [
+      { code: 'tataouine', name: 'Tataouine Nord', aliases: ['Tataouine'], lat: 32.9297, lng: 10.4518 },
+      { code: 'tataouine-sud', name: 'Tataouine Sud', lat: 32.9000, lng: 10.4700 },
+      { code: 'bir-lahmar', name: 'Bir Lahmar', lat: 33.1800, lng: 10.2500 },
+      { code: 'dehiba', name: 'Dehiba', lat: 32.0100, lng: 10.7000 },
+      { code: 'ghomrassen', name: 'Ghomrassen', lat: 33.0600, lng: 10.3400 },
+      { code: 'remada', name: 'Remada', lat: 32.3100, lng: 10.4000 },
+      { code: 'smar', name: 'Smâr', lat: 33.0800, lng: 10.6700 }
+    ]
+  },
+  {
+    code: 'gafsa', name: 'Gafsa', nameAr: 'قفصة', lat: 34.4250, lng: 8.7842,
+    delegations: [
+      { code: 'gafsa', name: 'Gafsa Sud', aliases: ['Gafsa'], lat: 34.4250, lng: 8.7842 },
+      { code: 'gafsa-nord', name: 'Gafsa Nord', lat: 34.5000, lng: 8.7800 },
+      { code: 'belkhir', name: 'Belkhir', lat: 34.4800, lng: 9.2000 },
+      { code: 'el-guettar', name: 'El Guettar', lat: 34.3400, lng: 8.9500 },
+      { code: 'el-ksar', name: 'El Ksar', lat: 34.3900, lng: 8.8000 },
+      { code: 'mdhilla', name: 'Mdhilla', lat: 34.2600, lng: 8.7600 },
+      { code: 'metlaoui', name: 'Métlaoui', lat: 34.3200, lng: 8.4000 },
+      { code: 'moulares', name: 'Oum El Araïes', aliases: ['Moularès'], lat: 34.4900, lng: 8.2600 },
+      { code: 'redeyef', name: 'Redeyef', lat: 34.3800, lng: 8.1500 },
+      { code: 'sidi-aich', name: 'Sidi Aïch', lat: 34.6300, lng: 8.6600 },
+      { code: 'sned', name: 'Sned', lat: 34.4700, lng: 9.2800 }
+    ]
+  },
+  {
+    code: 'tozeur', name: 'Tozeur', nameAr: 'توزر', lat: 33.9197, lng: 8.1335,
+    delegations: [
+      { code: 'tozeur', name: 'Tozeur', lat: 33.9197, lng: 8.1335 },
+      { code: 'degache', name: 'Degache', lat: 33.9700, lng: 8.2100 },
+      { code: 'hazoua', name: 'Hazoua', lat: 33.7300, lng: 7.5800 },
+      { code: 'nefta', name: 'Nefta', lat: 33.8730, lng: 7.8770 },
+      { code: 'tameghza', name: 'Tameghza', lat: 34.3900, lng: 7.9400 }
+    ]
+  },
+  {
+    code: 'kebili', name: 'Kébili', nameAr: 'قبلي', lat: 33.7044, lng: 8.9690,
+    delegations: [
+      { code: 'kebili', name: 'Kébili Sud', aliases: ['Kébili'], lat: 33.7044, lng: 8.9690 },
+      { code: 'kebili-nord', name: 'Kébili Nord', lat: 33.7500, lng: 8.9800 },
+      { code: 'douz', name: 'Douz Nord', aliases: ['Douz'], lat: 33.4600, lng: 9.0200 },
+      { code: 'douz-sud', name: 'Douz Sud', lat: 33.4300, lng: 9.0200 },
+      { code: 'faouar', name: 'El Faouar', lat: 33.3600, lng: 8.7200 },
+      { code: 'souk-lahad', name: 'Souk Lahad', lat: 33.8000, lng: 8.8800 }
+    ]
+  }
+];
+
+module.exports = {
+  GOVERNORATES
+};
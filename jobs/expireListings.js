@@ -0,0 +1,33 @@
+const Product = require('../models/product');
+const { applyTransition } = require('../utils/listingLifecycle');
+
+/**
+ * Move published listings past their expiry date to "expired"
+ * @returns {Promise<number>} - Number of listings expired
+ */
+const expireListings = async () => {
+  const cursor = Product.find({
+    status: 'published',
+    expiresAt: { $lte: new Date() }
+  }).cursor();
+
+  let expiredCount = 0;
+
+  for await (const product of cursor) {
+    try {
+      await applyTransition(product, 'expired', { actor: 'system', reason: 'expired' });
+      await product.save();
+      expiredCount++;
+    } catch (error) {
+      console.error(`🚨 Failed to expire listing ${product._id}:`, error.message);
+    }
+  }
+
+  if (expiredCount > 0) {
+    console.log(`⌛ Expired ${expiredCount} listings`);
+  }
+
+  return expiredCount;
+};
+
+module.exports = expireListings;
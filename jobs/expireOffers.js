@@ -0,0 +1,47 @@
+const Offer = require('../models/offer');
+const Product = require('../models/product');
+const { notifyUser } = require('../utils/notify');
+
+/**
+ * Close the pending offers past their expiry date and tell who made them
+ * @returns {Promise<number>} - Number of offers expired
+ */
+const expireOffers = async () => {
+  const cursor = Offer.find({
+    status: 'pending',
+    expiresAt: { $lte: new Date() }
+  }).cursor();
+
+  let expiredCount = 0;
+
+  for await (const offer of cursor) {
+    try {
+      const expired = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: 'pending' },
+        { $set: { status: 'expired' } },
+        { new: true }
+      );
+      if (!expired) continue;
+      expiredCount++;
+
+      const product = await Product.findById(offer.product).select('title');
+      if (!product) continue;
+
+      await notifyUser(offer.maker(), {
+        type: 'offer_expired',
+        title: `Votre offre de ${offer.amount} TND pour "${product.title}" a expiré sans réponse`,
+        data: { offerId: offer._id, productId: product._id, amount: offer.amount }
+      });
+    } catch (error) {
+      console.error(`🚨 Failed to expire offer ${offer._id}:`, error.message);
+    }
+  }
+
+  if (expiredCount > 0) {
+    console.log(`⌛ Expired ${expiredCount} offers`);
+  }
+
+  return expiredCount;
+};
+
+module.exports = expireOffers;
@@ -0,0 +1,54 @@
+const expireListings = require('./expireListings');
+const sendSavedSearchDigests = require('./sendSavedSearchDigests');
+const expireOffers = require('./expireOffers');
+
+// Background jobs run inside the API process. Each job skips a run while its
+// previous run is still going. Set JOBS_DISABLED=true on instances that
+// should not run them.
+const JOBS = [
+  { name: 'expireListings', run: expireListings, intervalMs: 60 * 60 * 1000 },
+  { name: 'sendSavedSearchDigests', run: sendSavedSearchDigests, intervalMs: 60 * 60 * 1000 },
+  { name: 'expireOffers', run: expireOffers, intervalMs: 15 * 60 * 1000 }
+];
+
+const timers = [];
+
+const schedule = ({ name, run, intervalMs }) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`🚨 Job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  timers.push(timer);
+};
+
+const startJobs = () => {
+  if (process.env.JOBS_DISABLED === 'true') {
+    console.log('⏸️ Background jobs disabled');
+    return;
+  }
+
+  JOBS.forEach(schedule);
+  console.log(`⏱️ Started ${JOBS.length} background jobs`);
+};
+
+const stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,106 @@
+const SavedSearch = require('../models/savedSearch');
+const SavedSearchAlert = require('../models/savedSearchAlert');
+const { PUBLIC_STATUS } = require('../utils/listingLifecycle');
+const { unsubscribeUrl } = require('../utils/savedSearchAlerts');
+const { notifyUser } = require('../utils/notify');
+const { clientUrl } = require('../config/mailer');
+const { escapeHtml } = require('../utils/text');
+
+// A saved search gets at most one digest per day
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Send each user one digest of the listings that matched their daily saved
+ * searches since the last one
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendSavedSearchDigests = async () => {
+  const searches = await SavedSearch.find({
+    frequency: 'daily',
+    $or: [
+      { lastDigestAt: null },
+      { lastDigestAt: { $lte: new Date(Date.now() - DIGEST_INTERVAL_MS) } }
+    ]
+  }).populate('user', 'firstName email');
+
+  const searchesByUser = new Map();
+  searches.filter(search => search.user).forEach(search => {
+    const userId = search.user._id.toString();
+    if (!searchesByUser.has(userId)) searchesByUser.set(userId, []);
+    searchesByUser.get(userId).push(search);
+  });
+
+  let digestCount = 0;
+
+  for (const userSearches of searchesByUser.values()) {
+    const user = userSearches[0].user;
+
+    try {
+      const sections = [];
+      const alertIds = [];
+
+      for (const search of userSearches) {
+        const alerts = await SavedSearchAlert.find({ savedSearch: search._id, sentAt: null })
+          .sort({ createdAt: 1 })
+          .populate('product', 'title price status');
+        alertIds.push(...alerts.map(alert => alert._id));
+
+        // Listings sold or removed since they matched are left out
+        const products = alerts
+          .map(alert => alert.product)
+          .filter(product => product && product.status === PUBLIC_STATUS);
+        if (products.length > 0) sections.push({ search, products });
+      }
+
+      if (sections.length > 0) {
+        const count = sections.reduce((total, section) => total + section.products.length, 0);
+
+        const text = sections.map(({ search, products }) => [
+          `${search.name} :`,
+          ...products.map(product => `- ${product.title} - ${product.price} TND\n  ${clientUrl(`/products/${product._id}`)}`),
+          `Ne plus recevoir d'alertes pour cette recherche : ${unsubscribeUrl(search)}`
+        ].join('\n')).join('\n\n');
+
+        const html = sections.map(({ search, products }) => `<h3>${escapeHtml(search.name)}</h3><ul>${products
+          .map(product => `<li><a href="${clientUrl(`/products/${product._id}`)}">${escapeHtml(product.title)}</a> - ${product.price} TND</li>`)
+          .join('')}</ul><p><a href="${unsubscribeUrl(search)}">Ne plus recevoir d'alertes pour cette recherche</a></p>`).join('');
+
+        await notifyUser(user, {
+          type: 'saved_search_digest',
+          title: `${count} nouvelle(s) annonce(s) pour vos recherches`,
+          body: sections.map(({ search, products }) => `${search.name} : ${products.length}`).join(', '),
+          data: {
+            savedSearches: sections.map(({ search, products }) => ({
+              savedSearchId: search._id,
+              productIds: products.map(product => product._id)
+            }))
+          },
+          email: {
+            subject: `Moutouri - ${count} nouvelle(s) annonce(s) pour vos recherches`,
+            text: `Bonjour ${user.firstName},\n\nDe nouvelles annonces correspondent à vos recherches :\n\n${text}`,
+            html: `<p>Bonjour ${escapeHtml(user.firstName)},</p><p>De nouvelles annonces correspondent à vos recherches :</p>${html}`
+          }
+        });
+
+        digestCount++;
+      }
+
+      const now = new Date();
+      await SavedSearchAlert.updateMany({ _id: { $in: alertIds } }, { $set: { sentAt: now } });
+      await SavedSearch.updateMany(
+        { _id: { $in: sections.map(({ search }) => search._id) } },
+        { $set: { lastDigestAt: now } }
+      );
+    } catch (error) {
+      console.error(`🚨 Failed to send saved search digest to ${user._id}:`, error.message);
+    }
+  }
+
+  if (digestCount > 0) {
+    console.log(`📬 Sent ${digestCount} saved search digests`);
+  }
+
+  return digestCount;
+};
+
+module.exports = sendSavedSearchDigests;
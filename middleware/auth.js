@@ -1,11 +1,27 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const Session = require('../models/session');
+const Setting = require('../models/setting');
+const { hasPermission } = require('../config/permissions');
+const { getLoggableUrl } = require('../utils/request');
+
+// Admins may be required to enroll in 2FA before using privileged routes
+const isMissingRequiredTwoFactor = async (user) => {
+  if (user.role !== 'admin' || user.twoFactorEnabled) return false;
+  return Setting.getValue('security.requireAdminTwoFactor', false);
+};
+
+const twoFactorRequiredResponse = (res) => res.status(403).json({
+  success: false,
+  code: 'TWO_FACTOR_REQUIRED',
+  message: 'Two-factor authentication is mandatory for admin accounts, please enable it first'
+});
 
 // Middleware to protect routes
 // Protect middleware
 exports.protect = async (req, res, next) => {
     try {
-      console.log(`🔒 Auth check for ${req.method} ${req.originalUrl}`);
+      console.log(`🔒 Auth check for ${req.method} ${getLoggableUrl(req)}`);
       console.log(`🔍 Headers: ${JSON.stringify({
         auth: req.headers.authorization ? 'Present' : 'Missing',
         contentType: req.headers['content-type']
@@ -36,6 +52,15 @@ exports.protect = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         console.log("✅ Token verified for user:", decoded.id);
+
+        // Purpose-bound tokens (such as the 2FA login challenge) are not access tokens
+        if (decoded.purpose) {
+          console.log("🚫 Token is not an access token");
+          return res.status(401).json({
+            success: false,
+            message: 'Not authorized, token failed'
+          });
+        }
         
         // Find user by id
         const user = await User.findOne({ 
@@ -51,8 +76,28 @@ exports.protect = async (req, res, next) => {
           });
         }
   
+        // Tokens are bound to a device session, which may have been revoked
+        if (decoded.sid) {
+          const session = await Session.findOne({
+            _id: decoded.sid,
+            user: user._id,
+            revokedAt: null
+          }).select('_id');
+
+          if (!session) {
+            console.log("🚫 Session revoked for token");
+            return res.status(401).json({
+              success: false,
+              code: 'SESSION_REVOKED',
+              message: 'Session has been revoked, please log in again'
+            });
+          }
+        }
+  
         console.log("👤 User authenticated:", user._id.toString());
         req.user = user;
+        req.sessionId = decoded.sid || null;
+        req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
         next();
       } catch (error) {
         console.error("🚨 Token verification error:", error.message);
@@ -72,14 +117,104 @@ exports.protect = async (req, res, next) => {
     }
   };
 
+// EventSource cannot send headers, so streams may pass the access token as
+// ?access_token=, then checked by protect like a Bearer header
+exports.tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Identify the user when a valid token is sent, but let anonymous requests through
+exports.optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (!header || !header.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+
+    if (!decoded.purpose) {
+      const user = await User.findOne({ _id: decoded.id, isActive: true }).select('-password');
+      const sessionActive = !decoded.sid ||
+        await Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null });
+
+      if (user && sessionActive) {
+        req.user = user;
+        req.sessionId = decoded.sid || null;
+      }
+    }
+  } catch (error) {
+    console.log("⚠️ Ignoring invalid token on public route:", error.message);
+  }
+
+  next();
+};
+
 // Middleware to restrict to admin only
-exports.admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+exports.admin = async (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized as an admin'
+    });
+  }
+
+  try {
+    if (await isMissingRequiredTwoFactor(req.user)) {
+      return twoFactorRequiredResponse(res);
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error in auth middleware',
+      error: error.message
+    });
+  }
+};
+
+// Middleware to restrict to users holding every given permission
+// e.g. router.put('/:id/verify', protect, requirePermission('products:verify'), ...)
+exports.requirePermission = (...permissions) => async (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (!req.user || missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      code: 'PERMISSION_DENIED',
+      message: `Missing permission: ${missing.join(', ')}`
+    });
+  }
+
+  try {
+    if (await isMissingRequiredTwoFactor(req.user)) {
+      return twoFactorRequiredResponse(res);
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error in auth middleware',
+      error: error.message
+    });
+  }
+};
+
+// Middleware to restrict to users with a verified email address
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.isEmailVerified) {
     next();
   } else {
     res.status(403).json({
       success: false,
-      message: 'Not authorized as an admin'
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address before publishing listings'
     });
   }
-}; 
\ No newline at end of file
+};
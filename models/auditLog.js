@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Append-only record of privileged actions. Entries can be created and read,
+// never modified or removed through the model.
+const auditLogSchema = new Schema({
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Audit actor is required']
+  },
+  actorEmail: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required']
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Audit target type is required']
+  },
+  targetId: {
+    type: String
+  },
+  changes: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'remove'
+].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const slugify = require('slugify');
+const { normalizeKey } = require('../utils/text');
+
+// Motorcycle manufacturer in the reference catalog
+const brandSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a brand name'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true
+  },
+  // Other spellings sellers use ("Yamaha Motor", "ياماها"...)
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized name and aliases, used to match free-text input
+  keys: {
+    type: [String],
+    select: false
+  },
+  logo: {
+    type: String
+  },
+  country: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+brandSchema.pre('save', function(next) {
+  if (this.isModified('name')) {
+    this.slug = slugify(this.name, { lower: true, strict: true });
+  }
+  if (this.isModified('name') || this.isModified('aliases')) {
+    this.keys = [...new Set([this.name, ...this.aliases].map(normalizeKey).filter(Boolean))];
+  }
+  next();
+});
+
+brandSchema.index({ keys: 1 });
+brandSchema.index({ isActive: 1, name: 1 });
+
+const Brand = mongoose.model('Brand', brandSchema);
+
+module.exports = Brand;
@@ -2,6 +2,43 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const slugify = require('slugify');
 
+// Attribute a listing of the category may or must describe. Keys of product
+// fields (year, mileageKm, brand...) constrain those fields, other keys are
+// stored in product.attributes.
+const attributeSchema = new Schema({
+  key: {
+    type: String,
+    required: [true, 'Attribute key is required'],
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Attribute key must be alphanumeric']
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['string', 'number', 'boolean', 'enum'],
+    default: 'string'
+  },
+  requirement: {
+    type: String,
+    enum: ['required', 'optional', 'hidden'],
+    default: 'optional'
+  },
+  // Allowed values of enum attributes
+  options: [{
+    type: String,
+    trim: true
+  }],
+  min: Number,
+  max: Number,
+  unit: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 const categorySchema = new Schema({
   name: {
     type: String,
@@ -21,6 +58,18 @@ const categorySchema = new Schema({
   image: {
     type: String
   },
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Every category above this one, root first
+  ancestors: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Attributes defined here, children inherit and may override them by key
+  attributes: [attributeSchema],
   isActive: {
     type: Boolean,
     default: true
@@ -43,8 +92,51 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Keep ancestors in sync with parent
+categorySchema.pre('save', async function(next) {
+  if (!this.isModified('parent')) return next();
+
+  try {
+    if (!this.parent) {
+      this.ancestors = [];
+      return next();
+    }
+
+    const parent = await this.constructor.findById(this.parent).select('ancestors');
+    if (!parent) {
+      return next(new Error('Parent category not found'));
+    }
+    if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+      return next(new Error('A category cannot be moved under itself'));
+    }
+
+    this.ancestors = [...parent.ancestors, parent._id];
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Recompute the ancestors of every category below a moved category
+ * @param {Object} category - The moved category, already saved
+ */
+categorySchema.statics.updateDescendantAncestors = async function(category) {
+  const descendants = await this.find({ ancestors: category._id }).select('ancestors');
+
+  await Promise.all(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)));
+    return this.updateOne(
+      { _id: descendant._id },
+      { $set: { ancestors: [...category.ancestors, ...below] } }
+    );
+  }));
+};
+
 // Index for better search performance
 categorySchema.index({ name: 1, slug: 1 });
+categorySchema.index({ parent: 1 });
+categorySchema.index({ ancestors: 1 });
 
 const Category = mongoose.model('Category', categorySchema);
 
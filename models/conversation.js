@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Message thread between a buyer and the seller of a listing
+const conversationSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  buyer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    body: { type: String, default: null },
+    sender: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: null }
+  },
+  // Messages each side has not read yet
+  buyerUnread: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sellerUnread: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { timestamps: true });
+
+conversationSchema.index({ product: 1, buyer: 1 }, { unique: true });
+conversationSchema.index({ buyer: 1, 'lastMessage.at': -1 });
+conversationSchema.index({ seller: 1, 'lastMessage.at': -1 });
+
+/**
+ * Side of the conversation a user is on
+ * @param {string} userId - User id
+ * @returns {string|null} - 'buyer', 'seller', or null for someone else
+ */
+conversationSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  if (this.buyer && (this.buyer._id || this.buyer).toString() === id) return 'buyer';
+  if (this.seller && (this.seller._id || this.seller).toString() === id) return 'seller';
+  return null;
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
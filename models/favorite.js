@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Listing saved by a user
+const favoriteSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Price drops are measured from the price when the listing was saved
+  priceAtSave: {
+    type: Number,
+    default: null
+  },
+  // Notify when the price goes down to this amount
+  priceAlertBelow: {
+    type: Number,
+    min: [0, 'Price alert cannot be negative'],
+    default: null
+  },
+  // Price of the last price drop notification
+  alertedPrice: {
+    type: Number,
+    default: null
+  }
+}, { timestamps: true });
+
+favoriteSchema.index({ user: 1, product: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+favoriteSchema.index({ product: 1 });
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+module.exports = Favorite;
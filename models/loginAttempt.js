@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Failed login counters, keyed by "email:<address>" or "ip:<address>".
+// Kept in MongoDB so every app instance sees the same counters.
+const POLICIES = {
+  email: {
+    freeAttempts: 3, // Failures allowed before delays start
+    maxDelayMs: 60 * 1000,
+    lockAfter: 10, // Failures that lock the account
+    lockDurationMs: 30 * 60 * 1000
+  },
+  ip: {
+    freeAttempts: 20,
+    maxDelayMs: 5 * 60 * 1000,
+    lockAfter: null, // IPs are only slowed down, never locked
+    lockDurationMs: 0
+  }
+};
+
+// Counters are forgotten a day after the last failure
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const loginAttemptSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const policyFor = (key) => POLICIES[key.split(':')[0]];
+
+// Delay doubles with every failure past the free attempts: 1s, 2s, 4s...
+const delayFor = (failures, policy) => {
+  if (failures < policy.freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (failures - policy.freeAttempts), policy.maxDelayMs);
+};
+
+loginAttemptSchema.statics.emailKey = (email) => `email:${String(email).toLowerCase().trim()}`;
+loginAttemptSchema.statics.ipKey = (ip) => `ip:${ip}`;
+
+// Lock or delay in force for the given counters, null when none
+const blockOf = (attempts, now) => {
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      return {
+        code: 'ACCOUNT_LOCKED',
+        retryAfter: Math.ceil((attempt.lockedUntil.getTime() - now) / 1000)
+      };
+    }
+  }
+
+  for (const attempt of attempts) {
+    const delay = delayFor(attempt.failures, policyFor(attempt.key));
+    const retryAt = attempt.lastFailureAt ? attempt.lastFailureAt.getTime() + delay : 0;
+
+    if (retryAt > now) {
+      return {
+        code: 'TOO_MANY_ATTEMPTS',
+        retryAfter: Math.ceil((retryAt - now) / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Reserve a login attempt for the given keys before checking the password.
+ * The attempt is counted as a failure right away. Counters that can lock
+ * only take the update when no other attempt was counted since they were
+ * read, so parallel guesses cannot all get through before their failures
+ * land. Counters that are never locked (IPs) are simply incremented.
+ * @param {string[]} keys - Counter keys (email and IP)
+ * @returns {Promise<Object|null>} - { code, retryAfter } when blocked, null
+ *   when the attempt may go ahead
+ */
+loginAttemptSchema.statics.reserveAttempt = async function(keys) {
+  const now = new Date();
+  const attempts = await this.find({ key: { $in: keys } });
+  const block = blockOf(attempts, now.getTime());
+
+  if (block) return block;
+
+  const failures = new Map(attempts.map(attempt => [attempt.key, attempt.failures]));
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + WINDOW_MS) }
+  };
+  const options = { upsert: true, new: true, setDefaultsOnInsert: true };
+  const reservedKeys = [];
+
+  // Give back the keys counted before the one that failed
+  const releaseReserved = () => Promise.all(reservedKeys.map(key => this.release(key)));
+
+  for (const key of keys) {
+    const guarded = !!policyFor(key).lockAfter;
+    const filter = guarded ? { key, failures: failures.get(key) || 0 } : { key };
+    let reserved;
+
+    try {
+      reserved = await this.findOneAndUpdate(filter, update, options).catch(error => {
+        if (error.code !== 11000) throw error;
+        // The upsert collides with the counter another attempt just created:
+        // a guarded counter lost the race, a plain one is incremented again
+        return guarded ? null : this.findOneAndUpdate(filter, update, options);
+      });
+    } catch (error) {
+      await releaseReserved();
+      throw error;
+    }
+
+    if (!reserved) {
+      await releaseReserved();
+      return { code: 'TOO_MANY_ATTEMPTS', retryAfter: 1 };
+    }
+
+    reservedKeys.push(key);
+  }
+
+  return null;
+};
+
+/**
+ * Settle a failed attempt reserved with reserveAttempt, locking the key when
+ * the policy says so
+ * @param {string} key - Counter key
+ * @returns {Promise<Object>} - { attempt, locked } where locked is true only
+ *   for the failure that caused the lock
+ */
+loginAttemptSchema.statics.recordFailure = async function(key) {
+  const policy = policyFor(key);
+  const now = new Date();
+
+  const attempt = policy.lockAfter ? await this.findOne({ key }) : null;
+
+  if (!attempt || attempt.failures < policy.lockAfter) {
+    return { attempt, locked: false };
+  }
+
+  // Conditional update so that only one instance reports the new lock
+  const lockedUntil = new Date(now.getTime() + policy.lockDurationMs);
+  const locked = await this.findOneAndUpdate(
+    {
+      key,
+      failures: { $gte: policy.lockAfter },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: {
+        failures: 0,
+        lockedUntil,
+        expiresAt: new Date(lockedUntil.getTime() + WINDOW_MS)
+      }
+    },
+    { new: true }
+  );
+
+  return { attempt: locked || attempt, locked: !!locked };
+};
+
+// Give back an attempt that succeeded, for counters kept after a success
+loginAttemptSchema.statics.release = function(key) {
+  return this.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+};
+
+loginAttemptSchema.statics.clear = function(key) {
+  return this.deleteOne({ key });
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
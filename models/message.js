@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Message of a conversation
+const messageSchema = new Schema({
+  conversation: {
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Message cannot be more than 2000 characters']
+  },
+  // Read receipt, set when the recipient reads the conversation
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, sender: 1, readAt: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
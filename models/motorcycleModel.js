@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const slugify = require('slugify');
+const { normalizeKey } = require('../utils/text');
+
+// Model of a brand in the reference catalog
+const motorcycleModelSchema = new Schema({
+  brand: {
+    type: Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: [true, 'Brand is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a model name'],
+    trim: true,
+    maxlength: [80, 'Name cannot be more than 80 characters']
+  },
+  slug: {
+    type: String
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized name and aliases, used to match free-text input
+  keys: {
+    type: [String],
+    select: false
+  },
+  // Years the model was produced, yearTo is empty while still in production
+  yearFrom: {
+    type: Number,
+    min: [1900, 'Year must be after 1900']
+  },
+  yearTo: {
+    type: Number,
+    validate: {
+      validator: function(value) {
+        return value == null || this.yearFrom == null || value >= this.yearFrom;
+      },
+      message: 'yearTo cannot be before yearFrom'
+    }
+  },
+  engineCc: {
+    type: Number,
+    min: [0, 'Engine displacement cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+motorcycleModelSchema.pre('save', function(next) {
+  if (this.isModified('name')) {
+    this.slug = slugify(this.name, { lower: true, strict: true });
+  }
+  if (this.isModified('name') || this.isModified('aliases')) {
+    this.keys = [...new Set([this.name, ...this.aliases].map(normalizeKey).filter(Boolean))];
+  }
+  next();
+});
+
+motorcycleModelSchema.index({ brand: 1, slug: 1 }, { unique: true });
+motorcycleModelSchema.index({ brand: 1, keys: 1 });
+
+const MotorcycleModel = mongoose.model('MotorcycleModel', motorcycleModelSchema);
+
+module.exports = MotorcycleModel;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const OFFER_STATUSES = ['pending', 'accepted', 'rejected', 'countered', 'withdrawn', 'expired'];
+
+// Price offer on a listing. A counter offer is a new offer from the other
+// side pointing to the one it answers, so a negotiation is a chain.
+const offerSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  buyer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Side that made this offer, the other side answers it
+  from: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    default: 'buyer'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Offer amount is required'],
+    min: [1, 'Offer amount must be positive']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters'],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Offer this one counters
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer',
+    default: null
+  },
+  // Counter offers from the seller: reserve the listing if the buyer accepts
+  reserveOnAccept: {
+    type: Boolean,
+    default: false
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  // Why the offer was closed without an answer (other_offer_accepted...)
+  closedReason: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+offerSchema.index({ product: 1, createdAt: 1 });
+offerSchema.index({ product: 1, status: 1 });
+// One open negotiation per buyer and listing, even with parallel requests
+offerSchema.index(
+  { product: 1, buyer: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+offerSchema.index({ buyer: 1, createdAt: -1 });
+offerSchema.index({ seller: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * User who has to answer the offer
+ * @returns {Object} - User id
+ */
+offerSchema.methods.recipient = function() {
+  return this.from === 'buyer' ? this.seller : this.buyer;
+};
+
+/**
+ * User who made the offer
+ * @returns {Object} - User id
+ */
+offerSchema.methods.maker = function() {
+  return this.from === 'buyer' ? this.buyer : this.seller;
+};
+
+const Offer = mongoose.model('Offer', offerSchema);
+
+module.exports = Offer;
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { STATUSES } = require('../utils/listingLifecycle');
+const { FUEL_TYPES, TRANSMISSIONS, ENGINE_TYPES } = require('../utils/motorcycleAttributes');
+const { buildSearchFields } = require('../utils/search');
+const { GOVERNORATE_CODES } = require('../utils/locations');
+const { listingEvents } = require('../utils/events');
+
+// Fields the search keys are computed from
+const SEARCH_SOURCE_FIELDS = ['title', 'brand', 'model', 'description', 'location'];
 
 const productSchema = new Schema({
   title: {
@@ -28,18 +36,72 @@ const productSchema = new Schema({
   },
   year: {
     type: Number,
-    required: [true, 'Year is required'],
     min: [1700, 'Year must be after 1700'],
     max: [new Date().getFullYear() + 1, 'Year cannot be in the future']
   },
-  kilometrage: {
+  brand: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Brand cannot be more than 50 characters']
+  },
+  model: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Model cannot be more than 80 characters']
+  },
+  // Catalog entries matched from brand/model, empty for unknown bikes
+  catalogBrand: {
+    type: Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null
+  },
+  catalogModel: {
+    type: Schema.Types.ObjectId,
+    ref: 'MotorcycleModel',
+    default: null
+  },
+  // year, mileageKm and engineCc are required or not depending on the
+  // attribute schema of the category (see utils/categoryAttributes.js)
+  mileageKm: {
+    type: Number,
+    min: [0, 'Mileage cannot be negative']
+  },
+  engineCc: {
+    type: Number,
+    min: [0, 'Engine displacement cannot be negative'],
+    max: [3000, 'Engine displacement cannot be more than 3000cc']
+  },
+  fuelType: {
     type: String,
-    required: [true, 'Kilometrage is required'],
-    min: [0, 'Kilometrage cannot be negative']
+    enum: FUEL_TYPES
   },
-  cylinder: {
+  transmission: {
     type: String,
-    required: [true, 'Cylinder information is required']
+    enum: TRANSMISSIONS
+  },
+  engineType: {
+    type: String,
+    enum: ENGINE_TYPES
+  },
+  color: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Color cannot be more than 30 characters']
+  },
+  // Search index, see utils/search.js
+  searchKeys: {
+    type: [String],
+    select: false
+  },
+  searchTitle: {
+    type: String,
+    select: false
+  },
+  // Values of the category attributes that are not product fields
+  attributes: {
+    type: Map,
+    of: Schema.Types.Mixed,
+    default: {}
   },
   images: {
     type: [String],
@@ -50,14 +112,119 @@ const productSchema = new Schema({
     required: [true, 'Location is required'],
     trim: true
   },
+  // Structured location, see data/tunisia-locations.js
+  governorate: {
+    type: String,
+    enum: [...GOVERNORATE_CODES, null],
+    default: null
+  },
+  delegation: {
+    type: String,
+    default: null
+  },
+  // Centre of the delegation (or governorate), used for distance search
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   user: {
     type: Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Publisher information is required']
   },
-  isActive: {
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending_review'
+  },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }],
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  moderation: {
+    claimedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    claimedAt: { type: Date, default: null },
+    decision: { type: String, enum: ['approved', 'rejected', null], default: null },
+    reasonCode: { type: String, default: null },
+    reasonLabel: { type: String, default: null },
+    note: { type: String, trim: true, maxlength: [1000, 'Moderation note cannot be more than 1000 characters'], default: null },
+    decidedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    decidedAt: { type: Date, default: null }
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  reservedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while an offer on the listing is being accepted, so that two offers
+  // cannot be accepted at the same time
+  offerLockedAt: {
+    type: Date,
+    default: null
+  },
+  soldAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  verifiedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Each price change, oldest first
+  priceHistory: [{
+    _id: false,
+    price: Number,
+    previousPrice: Number,
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now }
+  }],
+  // Number of users who saved the listing
+  favoritesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isFeatured: {
     type: Boolean,
-    default: true
+    default: false
   },
   createdAt: {
     type: Date,
@@ -70,7 +237,104 @@ const productSchema = new Schema({
 }, { timestamps: true });
 
 // Index for search performance
-productSchema.index({ title: 'text', description: 'text' });
+productSchema.index({ status: 1, searchKeys: 1 });
+
+// Indexes for public listings and the expiry job
+productSchema.index({ status: 1, createdAt: -1 });
+productSchema.index({ status: 1, expiresAt: 1 });
+productSchema.index({ user: 1, status: 1 });
+productSchema.index({ status: 1, submittedAt: 1 });
+
+// Indexes for range filters and brand pages
+productSchema.index({ status: 1, brand: 1, model: 1 });
+productSchema.index({ status: 1, mileageKm: 1 });
+productSchema.index({ status: 1, engineCc: 1 });
+productSchema.index({ status: 1, year: 1 });
+productSchema.index({ status: 1, price: 1 });
+productSchema.index({ status: 1, governorate: 1, delegation: 1 });
+productSchema.index({ geo: '2dsphere' });
+productSchema.index({ catalogBrand: 1 });
+productSchema.index({ catalogModel: 1 });
+
+// Keep the search keys in sync with the text they are computed from
+productSchema.pre('save', function(next) {
+  if (this.isNew || SEARCH_SOURCE_FIELDS.some(field => this.isModified(field))) {
+    Object.assign(this, buildSearchFields(this));
+  }
+  next();
+});
+
+// Tell listeners (saved search alerts, staff alerts, offers...) when a listing
+// goes public, is submitted for review or is sold or archived
+const STATUS_EVENTS = {
+  published: 'published',
+  pending_review: 'submitted',
+  sold: 'closed',
+  archived: 'closed'
+};
+
+productSchema.pre('save', function(next) {
+  this.$locals.statusEvent = this.isModified('status') ? STATUS_EVENTS[this.status] || null : null;
+  next();
+});
+
+productSchema.post('save', function(doc) {
+  const event = doc.$locals.statusEvent;
+  if (event) {
+    doc.$locals.statusEvent = null;
+    listingEvents.emit(event, doc);
+  }
+});
+
+/**
+ * Recompute the search keys of a listing updated without save()
+ * @param {Object} product - Product document with the source fields
+ */
+productSchema.statics.refreshSearchFields = function(product) {
+  return this.updateOne({ _id: product._id }, { $set: buildSearchFields(product) });
+};
+
+// Listings written per bulkWrite by reindexSearchFields
+const REINDEX_BATCH_SIZE = 500;
+
+/**
+ * Recompute the search keys of every listing matching a filter, in batches
+ * @param {Object} filter - Query filter
+ * @param {Function} onBatch - Called with the number indexed so far after each full batch
+ * @returns {Promise<number>} - Number of listings indexed
+ */
+productSchema.statics.reindexSearchFields = async function(filter = {}, onBatch = () => {}) {
+  const cursor = this.find(filter)
+    .select(SEARCH_SOURCE_FIELDS.join(' '))
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let indexed = 0;
+
+  for await (const product of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: buildSearchFields(product) }
+      }
+    });
+
+    if (operations.length === REINDEX_BATCH_SIZE) {
+      await this.bulkWrite(operations, { ordered: false });
+      indexed += operations.length;
+      operations = [];
+      onBatch(indexed);
+    }
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations, { ordered: false });
+    indexed += operations.length;
+  }
+
+  return indexed;
+};
 
 const Product = mongoose.model('Product', productSchema);
 
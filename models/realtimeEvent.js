@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Real-time event relayed between app instances through a change stream.
+// Only kept long enough for every instance to see it.
+const realtimeEventSchema = new Schema({
+  // Recipient user, or every connected user holding the permission
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  permission: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60
+  }
+}, { minimize: false });
+
+const RealtimeEvent = mongoose.model('RealtimeEvent', realtimeEventSchema);
+
+module.exports = RealtimeEvent;
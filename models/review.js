@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Rating left by a buyer on the seller of a listing, once per listing
+const reviewSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What proves the buyer dealt with the seller
+  transaction: {
+    kind: { type: String, enum: ['offer', 'conversation'], required: true },
+    id: { type: Schema.Types.ObjectId, required: true }
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review cannot be more than 1000 characters'],
+    default: null
+  },
+  // The seller's public answer, only one
+  reply: {
+    body: { type: String, trim: true, maxlength: [1000, 'Reply cannot be more than 1000 characters'], default: null },
+    at: { type: Date, default: null }
+  },
+  // Reviews removed by moderators are hidden and left out of the rating
+  status: {
+    type: String,
+    enum: ['visible', 'removed'],
+    default: 'visible'
+  },
+  removal: {
+    by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: null },
+    reason: { type: String, default: null }
+  }
+}, { timestamps: true });
+
+reviewSchema.index({ buyer: 1, product: 1 }, { unique: true });
+reviewSchema.index({ seller: 1, status: 1, createdAt: -1 });
+
+/**
+ * Recompute the rating stored on a seller from their visible reviews
+ * @param {string} sellerId - Seller id
+ * @returns {Promise<Object>} - { average, count }
+ */
+reviewSchema.statics.updateSellerRating = async function(sellerId) {
+  const [stats] = await this.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(sellerId.toString()), status: 'visible' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = stats
+    ? { average: Math.round(stats.average * 10) / 10, count: stats.count }
+    : { average: null, count: 0 };
+
+  await mongoose.model('User').updateOne({ _id: sellerId }, { $set: { rating } });
+
+  return rating;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Schema = mongoose.Schema;
+
+const FREQUENCIES = ['instant', 'daily', 'off'];
+
+// Listing filters saved under a name, with new listing alerts
+const savedSearchSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [80, 'Search name cannot be more than 80 characters']
+  },
+  // getAllProducts query string parameters
+  filters: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // Categories of the filters, so only searches that can match a new
+  // listing are checked against it. Empty for any category.
+  categories: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'instant'
+  },
+  lastDigestAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true, minimize: false });
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, categories: 1 });
+
+const signId = (id) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || '')
+  .update(`saved-search:${id}`)
+  .digest('hex');
+
+// Token of the unsubscribe link sent with the alerts
+savedSearchSchema.methods.getUnsubscribeToken = function() {
+  return `${this._id}.${signId(this._id)}`;
+};
+
+/**
+ * Saved search id of an unsubscribe token
+ * @param {string} token - Token from the unsubscribe link
+ * @returns {string|null} - Saved search id, null when the token is invalid
+ */
+savedSearchSchema.statics.verifyUnsubscribeToken = function(token) {
+  const [id, signature] = String(token || '').split('.');
+  if (!id || !signature || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const expected = Buffer.from(signId(id));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  return id;
+};
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A listing that matched a saved search. Unique per search and listing so a
+// listing is never alerted twice, even when it is published again.
+const savedSearchAlertSchema = new Schema({
+  savedSearch: {
+    type: Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Null while waiting for the daily digest
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+savedSearchAlertSchema.index({ savedSearch: 1, product: 1 }, { unique: true });
+savedSearchAlertSchema.index({ sentAt: 1, savedSearch: 1 });
+
+const SavedSearchAlert = mongoose.model('SavedSearchAlert', savedSearchAlertSchema);
+
+module.exports = SavedSearchAlert;
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Schema = mongoose.Schema;
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Rotated token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// One session per signed-in device. The session is also the refresh token
+// family: every refresh rotates the token and keeps the old hash so that a
+// replayed token can be detected and the whole family revoked.
+const sessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true,
+    select: false
+  },
+  deviceLabel: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device label cannot be more than 100 characters']
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_others', 'token_reuse', 'password_reset', 'account_deactivated', null],
+    default: null
+  }
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Start a new session and return it with its plain refresh token
+sessionSchema.statics.start = async function(user, { deviceLabel, userAgent, ip }) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: this.hashToken(refreshToken),
+    deviceLabel,
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, refreshToken };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Replace the refresh token, remembering the old one for reuse detection.
+// Conditional on the current token, so that two refreshes with the same
+// token cannot both succeed: the one that loses gets null
+sessionSchema.methods.rotate = async function({ userAgent, ip }) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  const now = new Date();
+
+  const set = {
+    refreshTokenHash: this.constructor.hashToken(refreshToken),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  };
+  if (userAgent) set.userAgent = userAgent;
+  if (ip) set.ip = ip;
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    {
+      $set: set,
+      $push: { previousTokenHashes: { $each: [this.refreshTokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  return rotated ? refreshToken : null;
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -36,7 +38,7 @@ const userSchema = new mongoose.Schema({
   }, 
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   createdAt: {
@@ -51,13 +53,102 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  refreshToken: {
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationToken: {
     type: String,
+    default: null,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date,
     default: null
   },
-  refreshTokenExpiry: {
+  phoneOtp: {
+    type: {
+      codeHash: String,
+      expiresAt: Date,
+      attempts: { type: Number, default: 0 },
+      sentAt: Date,
+      sendCount: { type: Number, default: 0 },
+      windowStart: Date
+    },
+    default: null,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
     type: Date,
     default: null
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Sellers can hide their phone and email and only be contacted through
+  // messaging
+  contactPreferences: {
+    hidePhone: { type: Boolean, default: false },
+    hideEmail: { type: Boolean, default: false }
+  },
+  // Average of the visible reviews received as a seller
+  rating: {
+    average: { type: Number, default: null },
+    count: { type: Number, default: 0 }
+  },
+  // Users who can no longer message this user
+  blockedUsers: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
   }
 }, { timestamps: true });
 
@@ -79,6 +170,73 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return resetToken;
+};
+
+// Create an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Hash a phone OTP together with the user id, so equal codes differ across
+// users, and with the number it was sent to, so it cannot verify another one
+userSchema.methods.hashPhoneOtp = function(code) {
+  return crypto.createHash('sha256').update(`${this._id}:${this.phone}:${code}`).digest('hex');
+};
+
+// Create a new set of 2FA backup codes; only their hashes are stored
+userSchema.methods.createTwoFactorBackupCodes = function() {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorBackupCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a 2FA backup code, returning false when it is unknown
+userSchema.methods.useTwoFactorBackupCode = function(code) {
+  const hash = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const index = this.twoFactorBackupCodes.indexOf(hash);
+
+  if (index === -1) return false;
+
+  this.twoFactorBackupCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Whether either user blocked the other
+ * @param {string} userId - A user id
+ * @param {string} otherId - Another user id
+ * @returns {Promise<boolean>}
+ */
+userSchema.statics.isBlockedBetween = async function(userId, otherId) {
+  return !!(await this.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherId },
+      { _id: otherId, blockedUsers: userId }
+    ]
+  }));
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
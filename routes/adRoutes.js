@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const adController = require('../controllers/ad');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { uploadSingle, handleUploadError, processUploadedFiles } = require('../middleware/upload');
 
 // Public routes
@@ -9,31 +9,31 @@ router.get('/position/:position', adController.getActiveAdsByPosition);
 router.post('/track/impression/:adId', adController.trackAdImpression);
 router.post('/track/click/:adId', adController.trackAdClick);
 
-// Admin-only routes
-router.get('/', protect, admin, adController.getAllAds);
-router.get('/stats', protect, admin, adController.getAdStats);
+// Ad management routes
+router.get('/', protect, requirePermission('ads:read'), adController.getAllAds);
+router.get('/stats', protect, requirePermission('ads:read'), adController.getAdStats);
 
-// Create ad (admin)
+// Create ad
 router.post('/',
   protect,
-  admin,
+  requirePermission('ads:manage'),
   uploadSingle('image'),
   handleUploadError,
   processUploadedFiles,
   adController.createAd
 );
 
-// Update ad (admin)
+// Update ad
 router.put('/:id',
   protect,
-  admin,
+  requirePermission('ads:manage'),
   uploadSingle('image'),
   handleUploadError,
   processUploadedFiles,
   adController.updateAd
 );
 
-// Delete ad (admin)
-router.delete('/:id', protect, admin, adController.deleteAd);
+// Delete ad
+router.delete('/:id', protect, requirePermission('ads:manage'), adController.deleteAd);
 
 module.exports = router;
\ No newline at end of file
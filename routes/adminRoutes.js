@@ -1,21 +1,46 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin');
-const { protect, admin } = require('../middleware/auth');
+const auditController = require('../controllers/audit');
+const moderationController = require('../controllers/moderation');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Admin dashboard statistics
-router.get('/stats', protect, admin, adminController.getAdminStats);
+router.get('/stats', protect, requirePermission('stats:read'), adminController.getAdminStats);
 
-// Other admin routes
-router.get('/products', protect, admin, adminController.getAllProducts);
-router.put('/products/:id/verify', protect, admin, adminController.verifyProduct);
-router.put('/products/:id/feature', protect, admin, adminController.featureProduct);
-router.delete('/products/:id', protect, admin, adminController.deleteProduct);
+// Roles and their permissions
+router.get('/roles', protect, requirePermission('roles:manage'), adminController.getRoles);
 
-// Get all users (admin only)
-router.get('/users', protect, admin, adminController.getAllUsers);
+// Product moderation
+router.get('/products', protect, requirePermission('products:read'), adminController.getAllProducts);
+router.put('/products/:id/verify', protect, requirePermission('products:verify'), adminController.verifyProduct);
+router.put('/products/:id/feature', protect, requirePermission('products:feature'), adminController.featureProduct);
+router.delete('/products/:id', protect, requirePermission('products:delete'), adminController.deleteProduct);
 
-// Update user role (admin only)
-router.put('/users/:userId', protect, admin, adminController.updateUserRole);
+// Moderation queue
+router.get('/moderation/queue', protect, requirePermission('products:verify'), moderationController.getModerationQueue);
+router.get('/moderation/reasons', protect, requirePermission('products:verify'), moderationController.getModerationReasons);
+router.put('/moderation/reasons', protect, requirePermission('settings:manage'), moderationController.updateModerationReasons);
+router.post('/moderation/:id/claim', protect, requirePermission('products:verify'), moderationController.claimProduct);
+router.post('/moderation/:id/release', protect, requirePermission('products:verify'), moderationController.releaseProduct);
+router.post('/moderation/:id/approve', protect, requirePermission('products:verify'), moderationController.approveProduct);
+router.post('/moderation/:id/reject', protect, requirePermission('products:verify'), moderationController.rejectProduct);
 
-module.exports = router;
\ No newline at end of file
+// Get all users
+router.get('/users', protect, requirePermission('users:read'), adminController.getAllUsers);
+
+// Update user role
+router.put('/users/:userId', protect, requirePermission('roles:manage'), adminController.updateUserRole);
+
+// Unlock an account locked after failed logins
+router.put('/users/:userId/unlock', protect, requirePermission('users:manage'), adminController.unlockUser);
+
+// Security settings
+router.get('/settings/security', protect, requirePermission('settings:manage'), adminController.getSecuritySettings);
+router.put('/settings/security', protect, requirePermission('settings:manage'), adminController.updateSecuritySettings);
+
+// Audit log of privileged actions
+router.get('/audit-logs', protect, requirePermission('audit:read'), auditController.getAuditLogs);
+router.get('/audit-logs/export', protect, requirePermission('audit:read'), auditController.exportAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const catalogController = require('../controllers/catalog');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// Public routes, used by the brand/model dropdowns
+router.get('/brands', catalogController.getBrands);
+router.get('/brands/:brandId/models', catalogController.getBrandModels);
+
+// Admin routes
+router.post('/brands', protect, requirePermission('catalog:manage'), catalogController.createBrand);
+router.put('/brands/:brandId', protect, requirePermission('catalog:manage'), catalogController.updateBrand);
+router.delete('/brands/:brandId', protect, requirePermission('catalog:manage'), catalogController.deleteBrand);
+
+router.post('/brands/:brandId/models', protect, requirePermission('catalog:manage'), catalogController.createModel);
+router.put('/models/:modelId', protect, requirePermission('catalog:manage'), catalogController.updateModel);
+router.delete('/models/:modelId', protect, requirePermission('catalog:manage'), catalogController.deleteModel);
+
+module.exports = router;
@@ -1,19 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/category');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { uploadSingle, handleUploadError, processUploadedFiles } = require('../middleware/upload');
 
 // Public routes
 router.get('/', categoryController.getAllCategories);
+router.get('/tree', categoryController.getCategoryTree);
 router.get('/:id', categoryController.getCategoryById);
+router.get('/:id/attributes', categoryController.getCategoryAttributeSchema);
 router.get('/slug/:slug', categoryController.getCategoryBySlug);
 router.get('/:id/products', categoryController.getCategoryProducts);
 
 // Admin routes
 router.post('/', 
   protect, 
-  admin, 
+  requirePermission('categories:manage'), 
   uploadSingle('image'),
   handleUploadError,
   processUploadedFiles,
@@ -22,13 +24,13 @@ router.post('/',
 
 router.put('/:id', 
   protect, 
-  admin, 
+  requirePermission('categories:manage'), 
   uploadSingle('image'),
   handleUploadError,
   processUploadedFiles,
   categoryController.updateCategory
 );
 
-router.delete('/:id', protect, admin, categoryController.deleteCategory);
+router.delete('/:id', protect, requirePermission('categories:manage'), categoryController.deleteCategory);
 
 module.exports = router; 
\ No newline at end of file
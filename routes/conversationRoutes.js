@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const conversationController = require('../controllers/conversation');
+const { protect } = require('../middleware/auth');
+
+router.get('/', protect, conversationController.getConversations);
+router.post('/', protect, conversationController.startConversation);
+router.get('/unread-count', protect, conversationController.getUnreadCount);
+router.get('/:id/messages', protect, conversationController.getMessages);
+router.post('/:id/messages', protect, conversationController.postMessage);
+router.post('/:id/read', protect, conversationController.markConversationRead);
+
+module.exports = router;
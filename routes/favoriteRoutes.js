@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const favoriteController = require('../controllers/favorite');
+const { protect } = require('../middleware/auth');
+
+router.get('/', protect, favoriteController.getFavorites);
+router.get('/ids', protect, favoriteController.getFavoriteIds);
+router.post('/:productId', protect, favoriteController.addFavorite);
+router.put('/:productId', protect, favoriteController.updateFavorite);
+router.delete('/:productId', protect, favoriteController.removeFavorite);
+
+module.exports = router;
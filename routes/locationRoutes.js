@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/location');
+
+// Public routes, used by the governorate/delegation dropdowns
+router.get('/', locationController.getGovernorates);
+router.get('/:governorate', locationController.getGovernorate);
+
+module.exports = router;
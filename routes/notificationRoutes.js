@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification');
+const { protect } = require('../middleware/auth');
+
+router.get('/', protect, notificationController.getNotifications);
+router.put('/read-all', protect, notificationController.markAllNotificationsRead);
+router.put('/:id/read', protect, notificationController.markNotificationRead);
+
+module.exports = router;
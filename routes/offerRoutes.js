@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const offerController = require('../controllers/offer');
+const { protect } = require('../middleware/auth');
+
+router.get('/', protect, offerController.getMyOffers);
+router.post('/:id/accept', protect, offerController.acceptOffer);
+router.post('/:id/reject', protect, offerController.rejectOffer);
+router.post('/:id/counter', protect, offerController.counterOffer);
+router.post('/:id/withdraw', protect, offerController.withdrawOffer);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/product');
-const { protect } = require('../middleware/auth');
+const offerController = require('../controllers/offer');
+const reviewController = require('../controllers/review');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const { uploadMultiple, processUploadedFiles, handleUploadError } = require('../middleware/upload');
 const upload = require('../middleware/upload');
 
@@ -10,11 +12,16 @@ router.get('/', productController.getAllProducts);
 router.get('/latest', productController.getLatestProducts);
 router.get('/search', productController.searchProducts);
 router.get('/suggestions', productController.getSearchSuggestions);
-router.get('/:id', productController.getProductById);
+
+// Seller's own listings, whatever their status
+router.get('/mine', protect, productController.getMyProducts);
+
+router.get('/:id', optionalAuth, productController.getProductById);
 
 // Modify your route to include the field name
 router.post('/', 
   protect,
+  requireVerifiedEmail,
   // Use multer directly with field name specified
   upload.uploadMultiple('images', 10),
   upload.handleUploadError,
@@ -23,6 +30,7 @@ router.post('/',
 );
 router.put('/:id', 
   protect, 
+  requireVerifiedEmail,
   uploadMultiple('images', 10),
   handleUploadError,
   processUploadedFiles,
@@ -31,4 +39,15 @@ router.put('/:id',
 
 router.delete('/:id', protect, productController.deleteProduct);
 
+// Listing lifecycle
+router.put('/:id/status', protect, productController.updateProductStatus);
+router.post('/:id/renew', protect, productController.renewProduct);
+
+// Price offers
+router.get('/:id/offers', protect, offerController.getProductOffers);
+router.post('/:id/offers', protect, offerController.makeOffer);
+
+// Seller reviews
+router.post('/:id/reviews', protect, reviewController.createReview);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const realtimeController = require('../controllers/realtime');
+const { protect, tokenFromQuery } = require('../middleware/auth');
+
+router.get('/stream', tokenFromQuery, protect, realtimeController.stream);
+
+module.exports = router;
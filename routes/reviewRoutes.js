@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/review');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.post('/:id/reply', protect, reviewController.replyToReview);
+router.delete('/:id', protect, requirePermission('reviews:moderate'), reviewController.removeReview);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const savedSearchController = require('../controllers/savedSearch');
+const { protect } = require('../middleware/auth');
+
+// Public, the link in the alert emails
+router.get('/unsubscribe/:token', savedSearchController.unsubscribeSavedSearch);
+
+router.get('/', protect, savedSearchController.getSavedSearches);
+router.post('/', protect, savedSearchController.createSavedSearch);
+router.put('/:id', protect, savedSearchController.updateSavedSearch);
+router.delete('/:id', protect, savedSearchController.deleteSavedSearch);
+
+module.exports = router;
@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user');
-const { protect, admin } = require('../middleware/auth');
+const reviewController = require('../controllers/review');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
 const { uploadSingle, processUploadedFiles, handleUploadError } = require('../middleware/upload');
 
 // Public routes
 router.post('/register', userController.registerUser);
 router.post('/login', userController.loginUser);
+router.post('/login/2fa', userController.loginTwoFactor);
+router.post('/forgot-password', userController.forgotPassword);
+router.post('/reset-password', userController.resetPassword);
+router.post('/verify-email', userController.verifyEmail);
+router.post('/resend-verification', protect, userController.resendVerificationEmail);
+router.post('/phone/request-otp', protect, userController.requestPhoneOtp);
+router.post('/phone/verify-otp', protect, userController.verifyPhoneOtp);
 
 // Protected routes with file upload
 router.get('/profile', protect, userController.getUserProfile);
@@ -17,14 +25,34 @@ router.put('/profile',
   userController.updateUserProfile
 );
 
+// Two-factor authentication
+router.post('/2fa/setup', protect, userController.setupTwoFactor);
+router.post('/2fa/confirm', protect, userController.confirmTwoFactor);
+router.post('/2fa/backup-codes', protect, userController.regenerateBackupCodes);
+router.post('/2fa/disable', protect, userController.disableTwoFactor);
+
+// Device sessions
+router.get('/sessions', protect, userController.getSessions);
+router.delete('/sessions/others', protect, userController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, userController.revokeSession);
+
+// Contact preferences and blocked users
+router.put('/contact-preferences', protect, userController.updateContactPreferences);
+router.get('/blocked', protect, userController.getBlockedUsers);
+router.post('/blocked/:userId', protect, userController.blockUser);
+router.delete('/blocked/:userId', protect, userController.unblockUser);
+
 // Admin routes
-router.get('/', protect, admin, userController.getAllUsers);
-router.get('/:id', userController.getUserById);
+router.get('/', protect, requirePermission('users:read'), userController.getAllUsers);
 router.delete('/:id', protect, userController.deleteUser); // User can delete themselves, admin can delete anyone
-router.put('/:id/role', protect, admin, userController.changeUserRole);
+router.put('/:id/role', protect, requirePermission('roles:manage'), userController.changeUserRole);
+
+// Public seller profile, with the private fields for the owner and user managers
+router.get('/:id', optionalAuth, userController.getUserById);
 
 // Public routes to get user's products
 router.get('/:id/products', userController.getUserProducts);
+router.get('/:id/reviews', reviewController.getUserReviews);
 
 // Refresh token routes
 router.post('/refresh-token', userController.refreshToken);
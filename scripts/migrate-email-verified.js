@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration marking the accounts created before email verification
+ * existed as verified, so that their owners can keep publishing listings.
+ *
+ *   node scripts/migrate-email-verified.js
+ *
+ * Only accounts without the isEmailVerified field are changed, accounts
+ * registered since then still have to confirm their address.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  const now = new Date();
+
+  const verified = await User.collection.updateMany(
+    { isEmailVerified: { $exists: false } },
+    [
+      {
+        $set: {
+          isEmailVerified: true,
+          emailVerifiedAt: { $ifNull: ['$createdAt', now] }
+        }
+      }
+    ]
+  );
+
+  console.log(`📧 Marked as verified: ${verified.modifiedCount}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
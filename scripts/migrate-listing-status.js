@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration from the isActive flag to listing statuses.
+ *
+ *   node scripts/migrate-listing-status.js
+ *
+ * Active listings become published for a full listing period, inactive ones
+ * become archived. Listings that already have a status are left alone.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { getListingDurationDays } = require('../utils/listingLifecycle');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  const durationDays = await getListingDurationDays();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + durationDays * 24 * 60 * 60 * 1000);
+  const collection = Product.collection;
+
+  const published = await collection.updateMany(
+    { status: { $exists: false }, isActive: { $ne: false } },
+    [
+      {
+        $set: {
+          status: 'published',
+          publishedAt: { $ifNull: ['$createdAt', now] },
+          expiresAt,
+          isVerified: { $ifNull: ['$isVerified', false] },
+          isFeatured: { $ifNull: ['$isFeatured', false] },
+          statusHistory: [{ from: null, to: 'published', reason: 'migration', at: now }]
+        }
+      },
+      { $unset: 'isActive' }
+    ]
+  );
+
+  const archived = await collection.updateMany(
+    { status: { $exists: false }, isActive: false },
+    [
+      {
+        $set: {
+          status: 'archived',
+          archivedAt: { $ifNull: ['$updatedAt', now] },
+          isVerified: { $ifNull: ['$isVerified', false] },
+          isFeatured: { $ifNull: ['$isFeatured', false] },
+          statusHistory: [{ from: null, to: 'archived', reason: 'migration', at: now }]
+        }
+      },
+      { $unset: 'isActive' }
+    ]
+  );
+
+  console.log(`📦 Published: ${published.modifiedCount}, archived: ${archived.modifiedCount}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration filling the governorate, delegation and coordinates of
+ * listings from their free-text location.
+ *
+ *   node scripts/migrate-locations.js [--dry-run]
+ *
+ * Locations that name no known governorate or delegation are listed at the
+ * end so they can be fixed by hand.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { matchLocationText, toProductLocation } = require('../utils/locations');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  const cursor = Product.find({ governorate: null, location: { $nin: [null, ''] } })
+    .select('location')
+    .lean()
+    .cursor();
+
+  let migrated = 0;
+  const unmatched = new Map();
+
+  for await (const product of cursor) {
+    const match = matchLocationText(product.location);
+
+    if (!match) {
+      unmatched.set(product.location, (unmatched.get(product.location) || 0) + 1);
+      continue;
+    }
+
+    if (!dryRun) {
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: toProductLocation(match.governorate, match.delegation) }
+      );
+    }
+    migrated++;
+  }
+
+  console.log(`📍 ${dryRun ? 'Would migrate' : 'Migrated'}: ${migrated}`);
+
+  if (unmatched.size > 0) {
+    console.log(`⚠️ ${unmatched.size} location(s) could not be matched:`);
+    [...unmatched.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([location, count]) => console.log(`  ${JSON.stringify(location)} (${count})`));
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * One-off migration from the free-text kilometrage/cylinder fields to the
+ * numeric mileageKm/engineCc attributes.
+ *
+ *   node scripts/migrate-motorcycle-attributes.js [--dry-run]
+ *
+ * Values that cannot be parsed are left in place and listed at the end so
+ * they can be fixed by hand.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { parseMileage, parseDisplacement } = require('../utils/motorcycleAttributes');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  // The legacy fields are no longer in the schema, read the raw documents
+  const collection = Product.collection;
+  const cursor = collection.find(
+    { $or: [{ kilometrage: { $exists: true } }, { cylinder: { $exists: true } }] },
+    { projection: { title: 1, kilometrage: 1, cylinder: 1, mileageKm: 1, engineCc: 1 } }
+  );
+
+  let migrated = 0;
+  const unparsable = [];
+
+  for await (const doc of cursor) {
+    const $set = {};
+    const $unset = {};
+
+    if (doc.kilometrage !== undefined) {
+      const mileage = doc.mileageKm !== undefined ? doc.mileageKm : parseMileage(doc.kilometrage);
+      if (mileage !== null) {
+        $set.mileageKm = mileage;
+        $unset.kilometrage = '';
+      } else {
+        unparsable.push({ id: doc._id, field: 'kilometrage', value: doc.kilometrage });
+      }
+    }
+
+    if (doc.cylinder !== undefined) {
+      const displacement = doc.engineCc !== undefined ? doc.engineCc : parseDisplacement(doc.cylinder);
+      if (displacement !== null) {
+        $set.engineCc = displacement;
+        $unset.cylinder = '';
+      } else {
+        unparsable.push({ id: doc._id, field: 'cylinder', value: doc.cylinder });
+      }
+    }
+
+    if (Object.keys($unset).length === 0) continue;
+
+    if (!dryRun) {
+      await collection.updateOne({ _id: doc._id }, { $set, $unset });
+    }
+    migrated++;
+  }
+
+  console.log(`📦 ${dryRun ? 'Would migrate' : 'Migrated'}: ${migrated}`);
+
+  if (unparsable.length > 0) {
+    console.log(`⚠️ ${unparsable.length} value(s) could not be parsed:`);
+    unparsable.forEach(item => console.log(`  ${item.id} ${item.field}: ${JSON.stringify(item.value)}`));
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
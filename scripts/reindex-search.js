@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Recompute the search keys of every listing.
+ *
+ *   node scripts/reindex-search.js
+ *
+ * Run once after deploying the search module, and again whenever the
+ * normalization rules in utils/search.js change.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  const indexed = await Product.reindexSearchFields({}, count => console.log(`🔍 Indexed ${count} listings`));
+
+  // The $text index is no longer used by search
+  const indexes = await Product.collection.indexes();
+  const textIndex = indexes.find(index => index.key && index.key._fts === 'text');
+  if (textIndex) {
+    await Product.collection.dropIndex(textIndex.name);
+    console.log(`🗑️ Dropped text index ${textIndex.name}`);
+  }
+
+  console.log(`📦 Indexed: ${indexed}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Reindex failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
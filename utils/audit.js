@@ -0,0 +1,87 @@
+const AuditLog = require('../models/auditLog');
+const { getClientIp } = require('./request');
+
+// Fields never copied into the audit log
+const IGNORED_FIELDS = [
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'emailVerificationSentAt',
+  'phoneOtp',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorBackupCodes',
+  'twoFactorLastUsedStep'
+];
+
+/**
+ * Turn a document into a plain object suitable for diffing
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @returns {Object|null}
+ */
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  IGNORED_FIELDS.forEach(field => delete plain[field]);
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Compute a field by field diff between two snapshots
+ * @param {Object|null} before - Snapshot before the action
+ * @param {Object|null} after - Snapshot after the action
+ * @returns {Object} - { field: { before, after } } for every changed field
+ */
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = {
+        before: from === undefined ? null : from,
+        after: to === undefined ? null : to
+      };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record a privileged action. Failures are logged and never break the action.
+ * @param {Object} req - Express request of the acting user
+ * @param {Object} entry - { action, targetType, targetId, before, after }
+ */
+const recordAudit = async (req, { action, targetType, targetId, before = null, after = null }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId: targetId ? targetId.toString() : undefined,
+      changes: diff(snapshot(before), snapshot(after)),
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent']
+    });
+  } catch (error) {
+    console.error(`🚨 Failed to record audit log for ${action}:`, error);
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Brand = require('../models/brand');
+const MotorcycleModel = require('../models/motorcycleModel');
+const { normalizeKey } = require('./text');
+
+/**
+ * Find a brand from an id or a free-text name/alias
+ * @param {string} value - Brand id, name or alias
+ * @returns {Promise<Object|null>} - Active brand, or null when unknown
+ */
+const findBrand = async (value) => {
+  if (!value) return null;
+
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    const brand = await Brand.findOne({ _id: value, isActive: true });
+    if (brand) return brand;
+  }
+
+  const key = normalizeKey(value);
+  return key ? Brand.findOne({ keys: key, isActive: true }) : null;
+};
+
+/**
+ * Find a model of a brand from an id or a free-text name/alias
+ * @param {string} brandId - Brand id
+ * @param {string} value - Model id, name or alias
+ * @returns {Promise<Object|null>} - Active model, or null when unknown
+ */
+const findModel = async (brandId, value) => {
+  if (!brandId || !value) return null;
+
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    const model = await MotorcycleModel.findOne({ _id: value, brand: brandId, isActive: true });
+    if (model) return model;
+  }
+
+  const key = normalizeKey(value);
+  return key ? MotorcycleModel.findOne({ brand: brandId, keys: key, isActive: true }) : null;
+};
+
+/**
+ * Replace the brand/model typed by a seller with their catalog spelling and
+ * link the listing to the catalog entries. Unknown values are kept as typed.
+ * @param {Object} body - Request body
+ * @param {Object} current - { brand, model } already on the listing, for partial updates
+ * @returns {Promise<Object>} - The same body
+ */
+const resolveCatalogInput = async (body, current = {}) => {
+  // Catalog links are only ever derived from brand/model
+  delete body.catalogBrand;
+  delete body.catalogModel;
+
+  if (body.brand === undefined && body.model === undefined) return body;
+
+  const brandInput = body.brand !== undefined ? body.brand : current.brand;
+  const modelInput = body.model !== undefined ? body.model : current.model;
+
+  const brand = await findBrand(brandInput);
+  body.catalogBrand = brand ? brand._id : null;
+  body.catalogModel = null;
+
+  if (!brand) return body;
+
+  if (body.brand !== undefined) body.brand = brand.name;
+
+  const model = await findModel(brand._id, modelInput);
+  if (model) {
+    body.catalogModel = model._id;
+    if (body.model !== undefined || body.brand !== undefined) body.model = model.name;
+
+    // The catalog knows the displacement when the seller left it out
+    if ((body.engineCc === undefined || body.engineCc === '') && !current.engineCc && model.engineCc) {
+      body.engineCc = model.engineCc;
+    }
+  }
+
+  return body;
+};
+
+module.exports = {
+  findBrand,
+  findModel,
+  resolveCatalogInput
+};
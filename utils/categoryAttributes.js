@@ -0,0 +1,219 @@
+const Category = require('../models/category');
+const { FUEL_TYPES, TRANSMISSIONS, ENGINE_TYPES } = require('./motorcycleAttributes');
+
+// Attributes stored as product fields rather than in product.attributes
+const PRODUCT_FIELD_ATTRIBUTES = {
+  year: { type: 'number' },
+  mileageKm: { type: 'number' },
+  engineCc: { type: 'number' },
+  brand: { type: 'string' },
+  model: { type: 'string' },
+  color: { type: 'string' },
+  fuelType: { type: 'enum', options: FUEL_TYPES },
+  transmission: { type: 'enum', options: TRANSMISSIONS },
+  engineType: { type: 'enum', options: ENGINE_TYPES }
+};
+
+// Attributes every motorcycle listing had to provide before categories
+// defined their own schema. A category can still relax them by defining the
+// same key as optional or hidden.
+const DEFAULT_ATTRIBUTES = [
+  { key: 'year', label: 'Year', type: 'number', requirement: 'required' },
+  { key: 'mileageKm', label: 'Mileage', type: 'number', requirement: 'required' },
+  { key: 'engineCc', label: 'Engine displacement', type: 'number', requirement: 'required' }
+];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check the attribute definitions of a category before saving them
+ * @param {Object[]} attributes - Attribute definitions
+ * @returns {string[]} - Problems found, empty when the definitions are valid
+ */
+const getDefinitionErrors = (attributes) => {
+  const errors = [];
+  const seen = new Set();
+
+  attributes.forEach(attribute => {
+    const { key, type = 'string', options = [], min, max } = attribute;
+    const field = PRODUCT_FIELD_ATTRIBUTES[key];
+
+    if (seen.has(key)) errors.push(`Attribute ${key} is defined twice`);
+    seen.add(key);
+
+    if (field && field.type !== type) {
+      errors.push(`Attribute ${key} must be of type ${field.type}`);
+    }
+    if (type === 'enum' && options.length === 0 && !(field && field.options)) {
+      errors.push(`Attribute ${key} needs a list of options`);
+    }
+    if (field && field.options && options.some(option => !field.options.includes(option))) {
+      errors.push(`Attribute ${key} options must be among: ${field.options.join(', ')}`);
+    }
+    if (!isEmpty(min) && !isEmpty(max) && Number(min) > Number(max)) {
+      errors.push(`Attribute ${key} has min greater than max`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Load a category with the attribute schema it inherits from its ancestors.
+ * A child attribute replaces the parent attribute with the same key, and any
+ * category attribute replaces the default attribute with the same key.
+ * @param {Object|string} categoryOrId - Category document or id
+ * @returns {Promise<Object|null>} - { category, attributes }, or null when the category does not exist
+ */
+const getCategoryAttributes = async (categoryOrId) => {
+  const category = categoryOrId && categoryOrId.ancestors
+    ? categoryOrId
+    : await Category.findById(categoryOrId);
+
+  if (!category) return null;
+
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('attributes');
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+  const chain = [
+    ...category.ancestors.map(id => byId.get(id.toString())).filter(Boolean),
+    category
+  ];
+
+  const merged = new Map(DEFAULT_ATTRIBUTES.map(attribute => [attribute.key, { ...attribute, options: [] }]));
+  chain.forEach(item => {
+    item.attributes.forEach(attribute => {
+      const definition = attribute.toObject ? attribute.toObject() : attribute;
+      const field = PRODUCT_FIELD_ATTRIBUTES[definition.key];
+      merged.set(definition.key, {
+        ...definition,
+        label: definition.label || definition.key,
+        options: definition.options && definition.options.length > 0
+          ? definition.options
+          : (field && field.options) || []
+      });
+    });
+  });
+
+  return { category, attributes: [...merged.values()] };
+};
+
+/**
+ * Id of a category and of every category below it
+ * @param {string} categoryId - Category id
+ * @returns {Promise<Object[]>} - Category ids
+ */
+const getCategoryAndDescendantIds = async (categoryId) => {
+  const descendants = await Category.find({ ancestors: categoryId }).distinct('_id');
+  return [categoryId, ...descendants];
+};
+
+// Convert a submitted value to the attribute type
+const coerceValue = (attribute, value) => {
+  const label = attribute.label || attribute.key;
+
+  switch (attribute.type) {
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return { error: `${label} must be a number` };
+      if (!isEmpty(attribute.min) && number < attribute.min) return { error: `${label} must be at least ${attribute.min}` };
+      if (!isEmpty(attribute.max) && number > attribute.max) return { error: `${label} must be at most ${attribute.max}` };
+      return { value: number };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `${label} must be true or false` };
+    case 'enum':
+      if (!attribute.options.includes(String(value))) {
+        return { error: `${label} must be one of: ${attribute.options.join(', ')}` };
+      }
+      return { value: String(value) };
+    default:
+      return { value: String(value).trim() };
+  }
+};
+
+/**
+ * Validate a listing against the attribute schema of its category and
+ * normalize the request body: values are converted to their type, hidden
+ * attributes are cleared and body.attributes only keeps attributes of the
+ * schema.
+ * @param {Object} body - Request body
+ * @param {Object[]} attributes - Attribute schema from getCategoryAttributes
+ * @param {Object} current - Product being updated, null on creation
+ * @returns {Object} - Validation errors by attribute key, empty when the listing is valid
+ */
+const applyCategoryAttributes = (body, attributes, current = null) => {
+  let submitted = body.attributes;
+
+  // Multipart forms send the attributes as JSON
+  if (typeof submitted === 'string') {
+    try {
+      submitted = JSON.parse(submitted);
+    } catch (error) {
+      return { attributes: 'attributes must be a JSON object' };
+    }
+  }
+  if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) {
+    submitted = {};
+  }
+
+  const currentValue = (key) => {
+    if (!current) return undefined;
+    return PRODUCT_FIELD_ATTRIBUTES[key] ? current[key] : current.attributes && current.attributes.get(key);
+  };
+
+  const valueOf = (key) => {
+    const provided = PRODUCT_FIELD_ATTRIBUTES[key] ? body[key] : submitted[key];
+    return provided !== undefined ? provided : currentValue(key);
+  };
+
+  // Electric bikes have no engine displacement
+  const isElectric = valueOf('fuelType') === 'electric' || valueOf('engineType') === 'electric';
+
+  const errors = {};
+  const values = {};
+
+  attributes.forEach(attribute => {
+    const { key, requirement } = attribute;
+    const isField = !!PRODUCT_FIELD_ATTRIBUTES[key];
+
+    if (requirement === 'hidden') {
+      if (isField) {
+        if (!isEmpty(currentValue(key))) body[key] = null;
+        else delete body[key];
+      }
+      return;
+    }
+
+    const value = valueOf(key);
+
+    if (isEmpty(value)) {
+      if (requirement === 'required' && !(key === 'engineCc' && isElectric)) {
+        errors[key] = `${attribute.label || key} is required`;
+      }
+      return;
+    }
+
+    const result = coerceValue(attribute, value);
+
+    if (result.error) {
+      errors[key] = result.error;
+    } else if (isField) {
+      if (body[key] !== undefined) body[key] = result.value;
+    } else {
+      values[key] = result.value;
+    }
+  });
+
+  body.attributes = values;
+  return errors;
+};
+
+module.exports = {
+  PRODUCT_FIELD_ATTRIBUTES,
+  getDefinitionErrors,
+  getCategoryAttributes,
+  getCategoryAndDescendantIds,
+  applyCategoryAttributes
+};
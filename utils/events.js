@@ -0,0 +1,11 @@
+const EventEmitter = require('events');
+
+// In-process events between the models and the code reacting to them.
+//   listingEvents 'published' (product) - a listing just became public
+//   listingEvents 'submitted' (product) - a listing is waiting for review
+//   listingEvents 'closed' (product)    - a listing was sold or archived
+const listingEvents = new EventEmitter();
+
+module.exports = {
+  listingEvents
+};
@@ -0,0 +1,204 @@
+const Setting = require('../models/setting');
+
+// Listing lifecycle. Every status change goes through this module so the
+// allowed transitions are defined in one place.
+//
+//   draft ──> pending_review ──> published ──> sold ──> archived
+//                  │    ▲            │  ▲
+//                  ▼    │            ▼  │ (renew)
+//               rejected ─┘        expired
+//
+//   published <──> reserved ──> sold    (kept for a buyer, e.g. offer accepted)
+//
+// Each transition lists who may trigger it:
+//   owner     - the seller of the listing
+//   moderator - staff reviewing listings
+//   system    - background jobs
+const STATUSES = ['draft', 'pending_review', 'published', 'reserved', 'sold', 'expired', 'archived', 'rejected'];
+
+const TRANSITIONS = {
+  draft: {
+    pending_review: ['owner'],
+    archived: ['owner', 'moderator']
+  },
+  pending_review: {
+    published: ['moderator'],
+    rejected: ['moderator'],
+    draft: ['owner'],
+    archived: ['owner', 'moderator']
+  },
+  published: {
+    reserved: ['owner'],
+    sold: ['owner'],
+    expired: ['system'],
+    rejected: ['moderator'],
+    archived: ['owner', 'moderator']
+  },
+  reserved: {
+    published: ['owner'],
+    sold: ['owner'],
+    archived: ['owner', 'moderator']
+  },
+  sold: {
+    archived: ['owner', 'moderator']
+  },
+  expired: {
+    published: ['owner'],
+    archived: ['owner', 'moderator', 'system']
+  },
+  rejected: {
+    pending_review: ['owner'],
+    draft: ['owner'],
+    archived: ['owner', 'moderator']
+  },
+  archived: {}
+};
+
+// The only status ever returned by public queries
+const PUBLIC_STATUS = 'published';
+
+// Statuses from which publishing starts a new listing period
+const STARTS_PERIOD = ['draft', 'pending_review', 'expired'];
+
+// Renewal is only offered close to (or after) expiry
+const RENEWAL_WINDOW_DAYS = 7;
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} actor - 'owner', 'moderator' or 'system'
+ * @returns {string|null} - Reason the transition is refused, or null when allowed
+ */
+const getTransitionError = (from, to, actor) => {
+  if (!STATUSES.includes(to)) {
+    return `Unknown status: ${to}`;
+  }
+
+  const allowed = (TRANSITIONS[from] || {})[to];
+
+  if (!allowed) {
+    return `A listing cannot go from ${from} to ${to}`;
+  }
+
+  if (!allowed.includes(actor)) {
+    return `Not allowed to move a listing from ${from} to ${to}`;
+  }
+
+  return null;
+};
+
+/**
+ * Whether a transition is a moderation decision on a pending listing. Those
+ * go through the moderation queue (claim, reason, seller notification) only.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const isModerationDecision = (from, to) =>
+  from === 'pending_review' && (to === 'published' || to === 'rejected');
+
+/**
+ * Number of days a published listing stays online
+ * @returns {Promise<number>}
+ */
+const getListingDurationDays = () =>
+  Setting.getValue('listings.durationDays', Number(process.env.LISTING_DURATION_DAYS) || 60);
+
+/**
+ * Move a listing to a new status, recording it in the status history.
+ * The caller saves the product.
+ * @param {Object} product - Product document
+ * @param {string} to - Requested status
+ * @param {Object} options - { actor, by, reason }
+ * @throws {Error} - When the transition is not allowed (error.code is INVALID_STATUS_TRANSITION)
+ */
+const applyTransition = async (product, to, { actor, by = null, reason = null }) => {
+  const from = product.status;
+  const transitionError = getTransitionError(from, to, actor);
+
+  if (transitionError) {
+    const error = new Error(transitionError);
+    error.code = 'INVALID_STATUS_TRANSITION';
+    throw error;
+  }
+
+  const now = new Date();
+  product.status = to;
+
+  if (to === 'pending_review') {
+    // A (re)submitted listing goes to the back of the moderation queue
+    product.submittedAt = now;
+    product.moderation = {};
+  } else if (to === 'published') {
+    product.publishedAt = product.publishedAt || now;
+
+    // A listing back from reserved keeps its period, renewal is the only
+    // way to extend a listing that stayed online
+    if (STARTS_PERIOD.includes(from)) {
+      const durationDays = await getListingDurationDays();
+      product.expiresAt = new Date(now.getTime() + durationDays * 24 * 60 * 60 * 1000);
+    }
+  } else if (to === 'reserved') {
+    product.reservedAt = now;
+  } else if (to === 'sold') {
+    product.soldAt = now;
+  } else if (to === 'expired') {
+    product.expiredAt = now;
+  } else if (to === 'archived') {
+    product.archivedAt = now;
+  }
+
+  product.statusHistory.push({ from, to, by, reason, at: now });
+};
+
+/**
+ * Check whether a listing can be renewed by its owner right now
+ * @param {Object} product - Product document
+ * @returns {string|null} - Reason renewal is refused, or null when allowed
+ */
+const getRenewalError = (product) => {
+  if (product.status === 'expired') return null;
+
+  if (product.status !== 'published') {
+    return 'Only published or expired listings can be renewed';
+  }
+
+  const windowStart = product.expiresAt
+    ? product.expiresAt.getTime() - RENEWAL_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    : 0;
+
+  if (Date.now() < windowStart) {
+    return `Listings can be renewed during the last ${RENEWAL_WINDOW_DAYS} days before they expire`;
+  }
+
+  return null;
+};
+
+/**
+ * Renew a listing for a full period. The caller saves the product.
+ * @param {Object} product - Product document
+ * @param {Object} options - { by }
+ */
+const renewListing = async (product, { by }) => {
+  if (product.status === 'expired') {
+    await applyTransition(product, 'published', { actor: 'owner', by, reason: 'renewed' });
+    return;
+  }
+
+  const durationDays = await getListingDurationDays();
+  product.expiresAt = new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000);
+  product.statusHistory.push({ from: 'published', to: 'published', by, reason: 'renewed', at: new Date() });
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  PUBLIC_STATUS,
+  getTransitionError,
+  isModerationDecision,
+  getListingDurationDays,
+  applyTransition,
+  getRenewalError,
+  renewListing
+};
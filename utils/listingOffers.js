@@ -0,0 +1,46 @@
+const Offer = require('../models/offer');
+const { listingEvents } = require('./events');
+const { notifyUser } = require('./notify');
+
+/**
+ * Decline the pending offers of a listing that was sold or archived and tell
+ * the buyers
+ * @param {Object} product - Product document
+ * @returns {Promise<number>} - Number of offers declined
+ */
+const closeListingOffers = async (product) => {
+  const offers = await Offer.find({ product: product._id, status: 'pending' });
+  let closedCount = 0;
+
+  for (const offer of offers) {
+    // Atomic, the offer may have been answered meanwhile
+    const closed = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending' },
+      { $set: { status: 'rejected', respondedAt: new Date(), closedReason: `listing_${product.status}` } },
+      { new: true }
+    );
+    if (!closed) continue;
+    closedCount++;
+
+    await notifyUser(offer.buyer, {
+      type: 'offer_declined',
+      title: `L'annonce "${product.title}" n'est plus disponible`,
+      data: { offerId: offer._id, productId: product._id, amount: offer.amount }
+    });
+  }
+
+  return closedCount;
+};
+
+const listenForClosedListings = () => {
+  listingEvents.on('closed', (product) => {
+    closeListingOffers(product).catch(error => {
+      console.error(`🚨 Failed to close the offers of listing ${product._id}:`, error);
+    });
+  });
+};
+
+module.exports = {
+  closeListingOffers,
+  listenForClosedListings
+};
@@ -0,0 +1,167 @@
+const { GOVERNORATES } = require('../data/tunisia-locations');
+const { normalizeText } = require('./search');
+const { toNumber } = require('./text');
+
+const GOVERNORATE_CODES = GOVERNORATES.map(governorate => governorate.code);
+
+// Largest search radius accepted, Tunisia is about 900 km long
+const MAX_RADIUS_KM = 500;
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const namesOf = (place) => [place.code, place.name, place.nameAr, ...(place.aliases || [])]
+  .filter(Boolean)
+  .map(normalizeText);
+
+// Every delegation and governorate name, longest first so "Hammam Sousse"
+// wins over "Sousse"
+const PLACE_NAMES = GOVERNORATES
+  .flatMap(governorate => [
+    ...namesOf(governorate).map(name => ({ name, governorate, delegation: null })),
+    ...governorate.delegations.flatMap(delegation =>
+      namesOf(delegation).map(name => ({ name, governorate, delegation })))
+  ])
+  .sort((a, b) => b.name.length - a.name.length || (a.delegation ? -1 : 1));
+
+/**
+ * Find a governorate by code or name
+ * @param {string} value - Code, French or Arabic name
+ * @returns {Object|null} - Governorate
+ */
+const findGovernorate = (value) => {
+  const name = normalizeText(value);
+  if (!name) return null;
+  return GOVERNORATES.find(governorate => namesOf(governorate).includes(name)) || null;
+};
+
+/**
+ * Find a delegation of a governorate by code or name
+ * @param {Object} governorate - Governorate
+ * @param {string} value - Code or name
+ * @returns {Object|null} - Delegation
+ */
+const findDelegation = (governorate, value) => {
+  const name = normalizeText(value);
+  if (!governorate || !name) return null;
+  return governorate.delegations.find(delegation => namesOf(delegation).includes(name)) || null;
+};
+
+/**
+ * GeoJSON point of a place
+ * @param {Object} place - Object with lat and lng
+ * @returns {Object} - GeoJSON point
+ */
+const toPoint = (place) => ({ type: 'Point', coordinates: [place.lng, place.lat] });
+
+/**
+ * Recognize a governorate and delegation in a free-text location
+ * ("Hammam Sousse", "sfax centre", "جربة")
+ * @param {string} text - Free-text location
+ * @returns {Object|null} - { governorate, delegation }, null when nothing matches
+ */
+const matchLocationText = (text) => {
+  const normalized = ` ${normalizeText(text)} `;
+  if (!normalized.trim()) return null;
+
+  const match = PLACE_NAMES.find(place => normalized.includes(` ${place.name} `));
+  return match ? { governorate: match.governorate, delegation: match.delegation } : null;
+};
+
+// Structured fields stored on a listing
+const toProductLocation = (governorate, delegation) => ({
+  governorate: governorate.code,
+  delegation: delegation ? delegation.code : null,
+  geo: toPoint(delegation || governorate)
+});
+
+/**
+ * Resolve the governorate/delegation sent with a listing into codes and a
+ * GeoJSON point. Listings sent with only the legacy free-text location are
+ * matched against the reference data when possible.
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null when the location is valid
+ */
+const resolveLocationInput = (body) => {
+  // Coordinates are always derived from the reference data
+  delete body.geo;
+
+  if (body.governorate === undefined && body.delegation === undefined) {
+    if (typeof body.location === 'string') {
+      const match = matchLocationText(body.location);
+      Object.assign(body, match
+        ? toProductLocation(match.governorate, match.delegation)
+        : { governorate: null, delegation: null, geo: null });
+    }
+    return null;
+  }
+
+  const governorate = findGovernorate(body.governorate);
+  if (!governorate) {
+    return 'Unknown governorate';
+  }
+
+  let delegation = null;
+  if (body.delegation) {
+    delegation = findDelegation(governorate, body.delegation);
+    if (!delegation) {
+      return `Unknown delegation for ${governorate.name}`;
+    }
+  }
+
+  Object.assign(body, toProductLocation(governorate, delegation));
+
+  // The free-text location stays filled for older clients
+  if (!body.location) {
+    body.location = delegation && delegation.name !== governorate.name
+      ? `${delegation.name}, ${governorate.name}`
+      : governorate.name;
+  }
+
+  return null;
+};
+
+/**
+ * Read a "near me" query: lat, lng and optional radiusKm
+ * @param {Object} query - req.query
+ * @returns {Object|null} - { coordinates: [lng, lat], radiusKm } or { error }, null when absent
+ */
+const parseNearQuery = (query) => {
+  if (query.lat === undefined && query.lng === undefined) return null;
+
+  const lat = toNumber(query.lat);
+  const lng = toNumber(query.lng);
+
+  if (lat === undefined || lng === undefined || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: 'lat and lng must be valid coordinates' };
+  }
+
+  const radiusKm = toNumber(query.radiusKm);
+  if (radiusKm !== undefined && (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM)) {
+    return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+  }
+
+  return { coordinates: [lng, lat], radiusKm: radiusKm === undefined ? null : radiusKm };
+};
+
+/**
+ * Filter on listings within a radius of a point
+ * @param {Object} near - Result of parseNearQuery
+ * @returns {Object} - Query filter
+ */
+const withinRadiusFilter = ({ coordinates, radiusKm }) => ({
+  geo: { $geoWithin: { $centerSphere: [coordinates, radiusKm / EARTH_RADIUS_KM] } }
+});
+
+module.exports = {
+  GOVERNORATES,
+  GOVERNORATE_CODES,
+  MAX_RADIUS_KM,
+  findGovernorate,
+  findDelegation,
+  toPoint,
+  matchLocationText,
+  toProductLocation,
+  resolveLocationInput,
+  parseNearQuery,
+  withinRadiusFilter
+};
@@ -0,0 +1,116 @@
+// Structured motorcycle attributes and parsing of the free-text values sellers
+// used to type ("12 000 km", "125cc", "1.2L"...)
+
+const FUEL_TYPES = ['petrol', 'diesel', 'electric', 'hybrid'];
+const TRANSMISSIONS = ['manual', 'automatic', 'semi-automatic'];
+const ENGINE_TYPES = ['2-stroke', '4-stroke', 'electric'];
+
+/**
+ * Parse a number written the way people write it:
+ *   "12 000 km" -> 12000    "12.000" -> 12000    "12,5" -> 12.5
+ *   "12k" -> 12000          "12k km" -> 12000    "15.5k km" -> 15500
+ * @param {string|number} value - Raw value
+ * @returns {number|null} - Parsed number, or null when there is none
+ */
+const parseLooseNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  // Spaces are only kept between digit groups, so that the "k" of "12k km"
+  // is still told apart from the unit
+  const text = value.toLowerCase();
+  const match = text.match(/(\d(?:[\d.,']|\s+(?=\d))*)\s*(?:(k)(?![a-z]))?/);
+  if (!match) return null;
+
+  let digits = match[1].replace(/[\s']/g, '');
+
+  // "12.000" / "12,000" are thousands separators, "12,5" / "1.2" are decimals
+  if (/^\d{1,3}([.,]\d{3})+$/.test(digits)) {
+    digits = digits.replace(/[.,]/g, '');
+  } else {
+    digits = digits.replace(',', '.');
+  }
+
+  let number = parseFloat(digits);
+  if (isNaN(number)) return null;
+
+  if (match[2] === 'k') number *= 1000;
+
+  return number;
+};
+
+/**
+ * Parse a mileage such as "12 000 km" or "12k"
+ * @param {string|number} value - Raw mileage
+ * @returns {number|null} - Kilometres
+ */
+const parseMileage = (value) => {
+  const number = parseLooseNumber(value);
+  if (number === null) return null;
+
+  // Miles are converted to kilometres
+  if (typeof value === 'string' && /\b(miles?|mi)\b/i.test(value)) {
+    return Math.round(number * 1.609344);
+  }
+
+  return Math.round(number);
+};
+
+/**
+ * Parse an engine displacement such as "125cc", "125 cm3" or "1.2L"
+ * @param {string|number} value - Raw displacement
+ * @returns {number|null} - Cubic centimetres
+ */
+const parseDisplacement = (value) => {
+  const number = parseLooseNumber(value);
+  if (number === null) return null;
+
+  // Litres: "1.2L", "1,2 l"
+  if (typeof value === 'string' && /\d\s*(l|litres?|liters?)\b/i.test(value) && number < 10) {
+    return Math.round(number * 1000);
+  }
+
+  return Math.round(number);
+};
+
+/**
+ * Map the legacy kilometrage/cylinder inputs to mileageKm/engineCc on a
+ * request body, without overriding numeric values sent by newer clients
+ * @param {Object} body - Request body
+ * @returns {Object} - The same body
+ */
+const normalizeMotorcycleInput = (body) => {
+  if (body.kilometrage !== undefined) {
+    if (body.mileageKm === undefined || body.mileageKm === '') {
+      const mileage = parseMileage(body.kilometrage);
+      if (mileage !== null) body.mileageKm = mileage;
+    }
+    delete body.kilometrage;
+  }
+
+  if (body.cylinder !== undefined) {
+    if (body.engineCc === undefined || body.engineCc === '') {
+      const displacement = parseDisplacement(body.cylinder);
+      if (displacement !== null) body.engineCc = displacement;
+    }
+    delete body.cylinder;
+  }
+
+  ['brand', 'model', 'color'].forEach(field => {
+    if (typeof body[field] === 'string') {
+      body[field] = body[field].trim().replace(/\s+/g, ' ');
+    }
+  });
+
+  return body;
+};
+
+module.exports = {
+  FUEL_TYPES,
+  TRANSMISSIONS,
+  ENGINE_TYPES,
+  parseLooseNumber,
+  parseMileage,
+  parseDisplacement,
+  normalizeMotorcycleInput
+};
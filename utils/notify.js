@@ -0,0 +1,44 @@
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const { sendEmail } = require('../config/mailer');
+const { publishToUser } = require('./realtime');
+
+/**
+ * Notify a user in-app, pushed to their connected clients, and optionally
+ * by email. Email failures are logged and do not prevent the in-app
+ * notification.
+ * @param {Object|string} userOrId - User document or id
+ * @param {Object} notification - { type, title, body, data, email }
+ *   email: { subject, text, html } to also send an email
+ * @returns {Promise<Object>} - The created notification
+ */
+const notifyUser = async (userOrId, { type, title, body, data = {}, email = null }) => {
+  const userId = userOrId._id || userOrId;
+
+  const notification = await Notification.create({
+    user: userId,
+    type,
+    title,
+    body,
+    data
+  });
+
+  await publishToUser(userId, 'notification', notification);
+
+  if (email) {
+    try {
+      const user = userOrId.email ? userOrId : await User.findById(userId).select('email');
+      if (user && user.email) {
+        await sendEmail({ to: user.email, ...email });
+      }
+    } catch (mailError) {
+      console.error(`🚨 Failed to send ${type} email:`, mailError);
+    }
+  }
+
+  return notification;
+};
+
+module.exports = {
+  notifyUser
+};
@@ -0,0 +1,195 @@
+// Page/limit and cursor pagination shared by the public listing endpoints.
+//
+// Cursors encode the sort and the position of the last item returned
+// (sort value + _id), so following them stays stable when listings are
+// added or removed between requests. Page/limit is kept for clients that
+// show page numbers.
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * Sorts offered on listing endpoints. _id breaks ties so the order is total.
+ * `type` tells how to decode the value stored in a cursor. Endpoints may add
+ * sorts without a `field` (such as relevance), those only support pages.
+ */
+const PRODUCT_SORTS = {
+  newest: { field: 'createdAt', direction: -1, type: 'date' },
+  oldest: { field: 'createdAt', direction: 1, type: 'date' },
+  price_asc: { field: 'price', direction: 1, type: 'number' },
+  price_desc: { field: 'price', direction: -1, type: 'number' },
+  year_desc: { field: 'year', direction: -1, type: 'number' },
+  year_asc: { field: 'year', direction: 1, type: 'number' },
+  km_asc: { field: 'mileageKm', direction: 1, type: 'number' },
+  km_desc: { field: 'mileageKm', direction: -1, type: 'number' }
+};
+
+const encodeCursor = (sortKey, value, id) =>
+  Buffer.from(JSON.stringify({ s: sortKey, v: value === undefined ? null : value, id: id.toString() }))
+    .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.s !== 'string' || !/^[a-f0-9]{24}$/.test(decoded.id)) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read page, limit, sort and cursor from a query string
+ * @param {Object} query - req.query
+ * @param {Object} options - { sorts, defaultSort }
+ * @returns {Object} - { page, limit, skip, sortKey, sort, cursor } or { error }
+ */
+const parsePagination = (query, { sorts = PRODUCT_SORTS, defaultSort = 'newest' } = {}) => {
+  const sortKey = query.sort || defaultSort;
+  const sort = sorts[sortKey];
+
+  if (!sort) {
+    return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+
+    if (!cursor || cursor.s !== sortKey) {
+      return { error: 'Invalid cursor' };
+    }
+    if (!sort.field) {
+      return { error: `Cursors are not available with sort ${sortKey}` };
+    }
+
+    return { page: null, limit, skip: 0, sortKey, sort, cursor };
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  return { page, limit, skip: (page - 1) * limit, sortKey, sort, cursor: null };
+};
+
+/**
+ * Filter selecting the items after a cursor. Missing values sort first in
+ * ascending order and last in descending order, like MongoDB does.
+ */
+const buildCursorFilter = ({ field, direction, type }, cursor) => {
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const idAfter = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+
+  if (cursor.v === null) {
+    const sameValue = { $and: [{ [field]: null }, idAfter] };
+    return direction === 1 ? { $or: [sameValue, { [field]: { $ne: null } }] } : sameValue;
+  }
+
+  const value = type === 'date' ? new Date(cursor.v) : cursor.v;
+  const clauses = [
+    { [field]: direction === 1 ? { $gt: value } : { $lt: value } },
+    { $and: [{ [field]: value }, idAfter] }
+  ];
+
+  if (direction === -1) clauses.push({ [field]: null });
+
+  return { $or: clauses };
+};
+
+/**
+ * Run a paginated find with a total count
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Query filter
+ * @param {Object} pagination - Result of parsePagination
+ * @param {Object} options - { populate: [[path, select]], select }
+ * @returns {Promise<Object>} - { items, pagination }
+ */
+const paginate = async (Model, filter, pagination, { populate = [], select = null } = {}) => {
+  const { page, limit, skip, sortKey, sort, cursor } = pagination;
+
+  const findFilter = cursor ? { $and: [filter, buildCursorFilter(sort, cursor)] } : filter;
+  let query = Model.find(findFilter)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .skip(skip)
+    .limit(limit + 1);
+
+  if (select) query = query.select(select);
+  populate.forEach(([path, fields]) => {
+    query = query.populate(path, fields);
+  });
+
+  const [items, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+  const hasNextPage = items.length > limit;
+  if (hasNextPage) items.pop();
+
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(sortKey, last.get(sort.field), last._id) : null,
+      sort: sortKey
+    }
+  };
+};
+
+/**
+ * Run a paginated aggregation with a total count, for orders a find cannot
+ * express (relevance, distance). Page/limit only.
+ * @param {Object} Model - Mongoose model
+ * @param {Object[]} pipeline - Stages selecting the items
+ * @param {Object[]} orderStages - Stages ordering the items, applied after counting
+ * @param {Object} pagination - Result of parsePagination
+ * @returns {Promise<Object>} - { items, pagination }, items are plain objects
+ */
+const aggregatePage = async (Model, pipeline, orderStages, pagination) => {
+  const { page, limit, skip, sortKey } = pagination;
+
+  const [result] = await Model.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        items: [...orderStages, { $skip: skip }, { $limit: limit + 1 }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const items = result.items;
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  const hasNextPage = items.length > limit;
+  if (hasNextPage) items.pop();
+
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage,
+      nextCursor: null,
+      sort: sortKey
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PRODUCT_SORTS,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  buildCursorFilter,
+  paginate,
+  aggregatePage
+};
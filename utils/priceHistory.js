@@ -0,0 +1,115 @@
+const Favorite = require('../models/favorite');
+const { PUBLIC_STATUS } = require('./listingLifecycle');
+const { notifyUser } = require('./notify');
+const { clientUrl } = require('../config/mailer');
+const { escapeHtml } = require('./text');
+
+// Drops smaller than this are only notified to users with a price alert
+const MEANINGFUL_DROP_PERCENT = 10;
+
+// The "price dropped" badge is shown for this long after the drop
+const PRICE_DROP_BADGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const dropPercent = (from, to) => (from > 0 ? Math.round(((from - to) / from) * 100) : 0);
+
+/**
+ * Price history entry for a price change
+ * @param {number} previousPrice - Price before the change
+ * @param {number} price - New price
+ * @param {string} userId - Who changed it
+ * @returns {Object} - priceHistory entry
+ */
+const priceChangeEntry = (previousPrice, price, userId) => ({
+  price,
+  previousPrice,
+  by: userId,
+  at: new Date()
+});
+
+/**
+ * Badge of a listing whose price recently went down: the drop since the
+ * price before the latest series of decreases
+ * @param {Object} product - Product document
+ * @returns {Object|null} - { previousPrice, percent, at }, null when the price did not drop
+ */
+const getPriceDrop = (product) => {
+  const history = product.priceHistory || [];
+  const last = history[history.length - 1];
+
+  if (!last || last.price >= last.previousPrice || last.price !== product.price) return null;
+  if (Date.now() - new Date(last.at).getTime() > PRICE_DROP_BADGE_MS) return null;
+
+  // 1000 -> 900 -> 800 shows a 20% drop
+  let previousPrice = last.previousPrice;
+  for (let i = history.length - 2; i >= 0 && history[i].price < history[i].previousPrice; i--) {
+    previousPrice = history[i].previousPrice;
+  }
+
+  return {
+    previousPrice,
+    percent: dropPercent(previousPrice, product.price),
+    at: last.at
+  };
+};
+
+/**
+ * Notify the users who saved a listing that its price went down, when it
+ * reached their price alert or dropped by at least MEANINGFUL_DROP_PERCENT
+ * since they saved it or were last notified
+ * @param {Object} product - Product document, with its new price
+ * @param {number} previousPrice - Price before the change
+ * @returns {Promise<number>} - Number of users notified
+ */
+const notifyPriceDrop = async (product, previousPrice) => {
+  if (product.status !== PUBLIC_STATUS || product.price >= previousPrice) return 0;
+
+  const favorites = Favorite.find({ product: product._id })
+    .populate('user', 'firstName email')
+    .cursor();
+  const productUrl = clientUrl(`/products/${product._id}`);
+  const sellerId = (product.user._id || product.user).toString();
+  let notifiedCount = 0;
+
+  for await (const favorite of favorites) {
+    if (!favorite.user || favorite.user._id.toString() === sellerId) continue;
+
+    const reference = favorite.alertedPrice !== null
+      ? favorite.alertedPrice
+      : (favorite.priceAtSave !== null ? favorite.priceAtSave : previousPrice);
+
+    const reachedAlert = favorite.priceAlertBelow !== null &&
+      product.price <= favorite.priceAlertBelow &&
+      (favorite.alertedPrice === null || favorite.alertedPrice > favorite.priceAlertBelow);
+    const percent = dropPercent(reference, product.price);
+
+    if (!reachedAlert && percent < MEANINGFUL_DROP_PERCENT) continue;
+
+    try {
+      await notifyUser(favorite.user, {
+        type: 'price_drop',
+        title: `Baisse de prix : "${product.title}"`,
+        body: `${reference} TND → ${product.price} TND (-${percent}%)`,
+        data: { productId: product._id, previousPrice: reference, price: product.price, percent },
+        email: {
+          subject: `Moutouri - Baisse de prix sur "${product.title}"`,
+          text: `Bonjour ${favorite.user.firstName},\n\nLe prix de "${product.title}" est passé de ${reference} TND à ${product.price} TND (-${percent}%).\n${productUrl}`,
+          html: `<p>Bonjour ${escapeHtml(favorite.user.firstName)},</p><p>Le prix de "${escapeHtml(product.title)}" est passé de ${reference} TND à ${product.price} TND (-${percent}%).</p><p><a href="${productUrl}">Voir l'annonce</a></p>`
+        }
+      });
+
+      await Favorite.updateOne({ _id: favorite._id }, { $set: { alertedPrice: product.price } });
+      notifiedCount++;
+    } catch (error) {
+      console.error(`🚨 Failed to send price drop alert ${favorite._id}:`, error.message);
+    }
+  }
+
+  return notifiedCount;
+};
+
+module.exports = {
+  MEANINGFUL_DROP_PERCENT,
+  priceChangeEntry,
+  getPriceDrop,
+  notifyPriceDrop
+};
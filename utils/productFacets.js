@@ -0,0 +1,107 @@
+const Product = require('../models/product');
+const { PUBLIC_STATUS } = require('./listingLifecycle');
+const { combineFilterClauses } = require('./productQuery');
+const { findGovernorate } = require('./locations');
+
+// Values shown per facet
+const FACET_LIMIT = 30;
+
+// Bucket boundaries, the last bucket is open ended
+const PRICE_BOUNDARIES = [0, 1000, 2500, 5000, 10000, 20000, 50000];
+const YEAR_BOUNDARIES = [1900, 2000, 2005, 2010, 2015, 2020];
+
+const OPEN_BUCKET = 'open';
+
+// Count listings per value of a field
+const countBy = (field, { caseInsensitive = false } = {}) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  caseInsensitive
+    ? { $group: { _id: { $toLower: `$${field}` }, label: { $first: `$${field}` }, count: { $sum: 1 } } }
+    : { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT }
+];
+
+// Count listings per range of a numeric field
+const bucketBy = (field, boundaries) => [
+  { $match: { [field]: { $type: 'number', $gte: boundaries[0] } } },
+  {
+    $bucket: {
+      groupBy: `$${field}`,
+      boundaries,
+      default: OPEN_BUCKET,
+      output: { count: { $sum: 1 } }
+    }
+  }
+];
+
+/**
+ * Build the facets aggregation. Each facet applies every filter except its
+ * own, so a user picking "Yamaha" still sees the counts of the other brands.
+ * @param {Object} clauses - Result of buildProductFilterClauses
+ * @returns {Object[]} - Aggregation pipeline
+ */
+const buildFacetPipeline = (clauses) => {
+  const facet = (filterNames, stages) => [
+    { $match: combineFilterClauses(clauses, filterNames) },
+    ...stages
+  ];
+
+  return [
+    { $match: { status: PUBLIC_STATUS } },
+    {
+      $facet: {
+        category: facet(['category'], [
+          ...countBy('category'),
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          { $project: { count: 1, name: '$category.name', slug: '$category.slug' } }
+        ]),
+        brand: facet(['brand', 'model'], countBy('brand', { caseInsensitive: true })),
+        condition: facet(['condition'], countBy('condition')),
+        location: facet(['location'], countBy('location', { caseInsensitive: true })),
+        governorate: facet(['governorate', 'delegation', 'location', 'near'], countBy('governorate')),
+        year: facet(['year'], bucketBy('year', YEAR_BOUNDARIES)),
+        price: facet(['price'], bucketBy('price', PRICE_BOUNDARIES))
+      }
+    }
+  ];
+};
+
+// Turn $bucket output into { min, max, count }, max is exclusive
+const formatBuckets = (buckets, boundaries) => buckets.map(bucket => {
+  if (bucket._id === OPEN_BUCKET) {
+    return { min: boundaries[boundaries.length - 1], max: null, count: bucket.count };
+  }
+  const index = boundaries.indexOf(bucket._id);
+  return { min: bucket._id, max: boundaries[index + 1], count: bucket.count };
+});
+
+/**
+ * Run the facets aggregation
+ * @param {Object} clauses - Result of buildProductFilterClauses
+ * @returns {Promise<Object>} - Counts by facet
+ */
+const getProductFacets = async (clauses) => {
+  const [result] = await Product.aggregate(buildFacetPipeline(clauses));
+
+  return {
+    category: result.category.map(item => ({ value: item._id, label: item.name, slug: item.slug, count: item.count })),
+    brand: result.brand.map(item => ({ value: item.label, count: item.count })),
+    condition: result.condition.map(item => ({ value: item._id, count: item.count })),
+    location: result.location.map(item => ({ value: item.label, count: item.count })),
+    governorate: result.governorate.map(item => {
+      const governorate = findGovernorate(item._id);
+      return { value: item._id, label: governorate ? governorate.name : item._id, count: item.count };
+    }),
+    year: formatBuckets(result.year, YEAR_BOUNDARIES),
+    price: formatBuckets(result.price, PRICE_BOUNDARIES)
+  };
+};
+
+module.exports = {
+  PRICE_BOUNDARIES,
+  YEAR_BOUNDARIES,
+  buildFacetPipeline,
+  getProductFacets
+};
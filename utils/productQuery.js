@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const { PUBLIC_STATUS } = require('./listingLifecycle');
+const { getCategoryAndDescendantIds } = require('./categoryAttributes');
+const { escapeRegex, toNumber } = require('./text');
+const { parseSearchQuery, allWordsFilter } = require('./search');
+const { matchLocationText, parseNearQuery, withinRadiusFilter } = require('./locations');
+
+// Query string parameters understood by buildProductFilterClauses
+const FILTER_PARAMS = [
+  'search', 'category', 'minPrice', 'maxPrice', 'condition', 'location',
+  'governorate', 'delegation', 'brand', 'model', 'fuelType', 'transmission',
+  'engineType', 'color', 'minKm', 'maxKm', 'minCc', 'maxCc', 'minYear',
+  'maxYear', 'lat', 'lng', 'radiusKm'
+];
+
+// Populated on every public listing response
+const PRODUCT_LIST_POPULATE = [
+  ['category', 'name slug'],
+  ['user', 'firstName lastName image isPhoneVerified rating']
+];
+
+// Moderation details and the staff who changed or verified a listing are
+// left out of every public listing response
+const PRODUCT_STAFF_FIELDS = {
+  moderation: 0,
+  'statusHistory.by': 0,
+  verifiedBy: 0
+};
+
+/**
+ * Remove the staff only fields from a listing turned into a plain object
+ * @param {Object} product - Result of toObject()
+ * @returns {Object} - The same object
+ */
+const hideStaffFields = (product) => {
+  Object.keys(PRODUCT_STAFF_FIELDS).forEach(path => {
+    const [field, subField] = path.split('.');
+    if (!subField) {
+      delete product[field];
+    } else if (Array.isArray(product[field])) {
+      product[field].forEach(item => delete item[subField]);
+    }
+  });
+  return product;
+};
+
+const rangeClause = (field, min, max) => {
+  const from = toNumber(min);
+  const to = toNumber(max);
+  if (from === undefined && to === undefined) return null;
+
+  const range = {};
+  if (from !== undefined) range.$gte = from;
+  if (to !== undefined) range.$lte = to;
+  return { [field]: range };
+};
+
+// Multi-select filters arrive repeated (?brand=a&brand=b) or comma separated
+const toList = (value, { split = true } = {}) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => (split ? String(item).split(',') : [String(item)]))
+    .map(item => item.trim())
+    .filter(item => item && item !== 'undefined');
+};
+
+// Case insensitive exact match of any of the values
+const exactClause = (field, value) => {
+  if (!value) return null;
+  const values = toList(value);
+  if (values.length === 0) return null;
+  return { [field]: { $in: values.map(item => new RegExp(`^${escapeRegex(item)}$`, 'i')) } };
+};
+
+// Match any of the values
+const listClause = (field, value) => {
+  if (!value) return null;
+  const values = toList(value);
+  return values.length > 0 ? { [field]: { $in: values } } : null;
+};
+
+/**
+ * Build the filters of the public listing endpoints from a query string,
+ * one clause per filter so callers can leave some out (facets ignore their
+ * own filter). category, brand, model, color, condition, location,
+ * governorate, delegation, fuelType, transmission and engineType accept
+ * several values.
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} - Clauses by filter name, missing filters are left out
+ */
+const buildProductFilterClauses = async (query) => {
+  const {
+    search, category, minPrice, maxPrice, condition, location, governorate, delegation,
+    brand, model, fuelType, transmission, engineType, color,
+    minKm, maxKm, minCc, maxCc, minYear, maxYear
+  } = query;
+
+  const clauses = {};
+
+  // Every word must match, allowing for accents, script and small typos
+  const parsedSearch = search ? parseSearchQuery(search) : null;
+  if (parsedSearch) {
+    clauses.search = allWordsFilter(parsedSearch);
+  }
+
+  if (category) {
+    // Listings of subcategories belong to the category too. Ids are cast
+    // here because the facets aggregation does not cast them.
+    const categoryIds = toList(category).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (categoryIds.length > 0) {
+      const ids = (await Promise.all(categoryIds.map(getCategoryAndDescendantIds))).flat();
+      clauses.category = { category: { $in: ids.map(id => new mongoose.Types.ObjectId(id.toString())) } };
+    }
+  }
+
+  clauses.price = rangeClause('price', minPrice, maxPrice);
+  clauses.mileageKm = rangeClause('mileageKm', minKm, maxKm);
+  clauses.engineCc = rangeClause('engineCc', minCc, maxCc);
+  clauses.year = rangeClause('year', minYear, maxYear);
+
+  clauses.condition = listClause('condition', condition);
+
+  // Free text, so any listing whose location contains one of the values, or
+  // that is in the governorate/delegation the text names
+  if (location) {
+    const locations = toList(location, { split: false });
+    const places = locations.map(matchLocationText).filter(Boolean);
+    const alternatives = [
+      { location: { $in: locations.map(item => new RegExp(escapeRegex(item), 'i')) } },
+      ...places.map(place => (place.delegation
+        ? { governorate: place.governorate.code, delegation: place.delegation.code }
+        : { governorate: place.governorate.code }))
+    ];
+    if (locations.length > 0) {
+      clauses.location = alternatives.length > 1 ? { $or: alternatives } : alternatives[0];
+    }
+  }
+
+  clauses.governorate = listClause('governorate', governorate);
+  clauses.delegation = listClause('delegation', delegation);
+
+  // Within radiusKm of lat/lng, invalid values are rejected by the controller
+  const near = parseNearQuery(query);
+  if (near && !near.error && near.radiusKm) {
+    clauses.near = withinRadiusFilter(near);
+  }
+
+  clauses.brand = exactClause('brand', brand);
+  clauses.model = exactClause('model', model);
+  clauses.color = exactClause('color', color);
+
+  clauses.fuelType = listClause('fuelType', fuelType);
+  clauses.transmission = listClause('transmission', transmission);
+  clauses.engineType = listClause('engineType', engineType);
+
+  Object.keys(clauses).forEach(name => {
+    if (!clauses[name]) delete clauses[name];
+  });
+
+  return clauses;
+};
+
+/**
+ * Combine filter clauses into a query on public listings
+ * @param {Object} clauses - Result of buildProductFilterClauses
+ * @param {string[]} exclude - Filter names to leave out
+ * @returns {Object} - Query filter
+ */
+const combineFilterClauses = (clauses, exclude = []) => {
+  const parts = Object.keys(clauses)
+    .filter(name => !exclude.includes(name))
+    .map(name => clauses[name]);
+
+  return parts.length > 0
+    ? { status: PUBLIC_STATUS, $and: parts }
+    : { status: PUBLIC_STATUS };
+};
+
+/**
+ * Query filter of the public listing endpoints
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} - Query filter
+ */
+const buildProductFilter = async (query) =>
+  combineFilterClauses(await buildProductFilterClauses(query));
+
+/**
+ * Response envelope shared by the paginated listing endpoints
+ * @param {Object} result - Result of paginate()
+ * @param {Object} extra - Additional top level fields
+ * @returns {Object} - Response body
+ */
+const productPageResponse = (result, extra = {}) => ({
+  success: true,
+  ...extra,
+  count: result.items.length,
+  products: result.items,
+  pagination: result.pagination
+});
+
+/**
+ * Keep only the listing filters of a query string, as strings
+ * @param {Object} query - Query string or saved filters
+ * @returns {Object} - Filters
+ */
+const pickFilterParams = (query = {}) => FILTER_PARAMS.reduce((filters, param) => {
+  const value = query[param];
+  if (value === undefined || value === null || value === '') return filters;
+  filters[param] = Array.isArray(value) ? value.map(String) : String(value);
+  return filters;
+}, {});
+
+module.exports = {
+  FILTER_PARAMS,
+  PRODUCT_LIST_POPULATE,
+  PRODUCT_STAFF_FIELDS,
+  hideStaffFields,
+  pickFilterParams,
+  buildProductFilterClauses,
+  combineFilterClauses,
+  buildProductFilter,
+  productPageResponse
+};
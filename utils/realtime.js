@@ -0,0 +1,217 @@
+// Real-time events pushed to connected clients over Server-Sent Events.
+//
+// Each instance keeps the streams of its own clients. Events go through an
+// adapter so they reach clients connected to any instance:
+//   memory  delivered in this process only (single instance, default)
+//   mongo   written to the realtimeevents collection and delivered by every
+//           instance watching it with a change stream (needs a replica set)
+// Set REALTIME_ADAPTER to choose.
+
+const RealtimeEvent = require('../models/realtimeEvent');
+const User = require('../models/user');
+const Session = require('../models/session');
+const { hasPermission } = require('../config/permissions');
+
+// Comment line keeping idle connections open through proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+// Delay before watching again after the change stream failed, and before
+// clients reconnect after losing the stream
+const RETRY_MS = 5 * 1000;
+
+// Connected clients by user id
+const clients = new Map();
+
+let heartbeat = null;
+let adapter = null;
+
+const write = (client, type, data) => {
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Write an event to the matching clients connected to this instance
+ * @param {Object} event - { user, permission, type, data }
+ */
+const deliver = ({ user, permission, type, data }) => {
+  if (user) {
+    (clients.get(user.toString()) || []).forEach(client => write(client, type, data));
+    return;
+  }
+
+  clients.forEach(userClients => userClients.forEach(client => {
+    if (hasPermission(client.user, permission)) write(client, type, data);
+  }));
+};
+
+const memoryAdapter = {
+  publish: async (event) => deliver(event),
+  start: () => {}
+};
+
+const mongoAdapter = {
+  publish: (event) => RealtimeEvent.create(event),
+  start() {
+    const stream = RealtimeEvent.watch([{ $match: { operationType: 'insert' } }]);
+
+    stream.on('change', change => deliver(change.fullDocument));
+    stream.on('error', error => {
+      console.error('🚨 Realtime change stream failed:', error.message);
+      stream.close().catch(() => {});
+      setTimeout(() => this.start(), RETRY_MS).unref();
+    });
+  }
+};
+
+const ADAPTERS = {
+  memory: memoryAdapter,
+  mongo: mongoAdapter
+};
+
+const adapterName = () => (ADAPTERS[process.env.REALTIME_ADAPTER] ? process.env.REALTIME_ADAPTER : 'memory');
+
+const getAdapter = () => {
+  if (!adapter) adapter = ADAPTERS[adapterName()];
+  return adapter;
+};
+
+const removeClient = (userId, client) => {
+  const userClients = clients.get(userId);
+  if (!userClients) return;
+  userClients.delete(client);
+  if (userClients.size === 0) clients.delete(userId);
+};
+
+// Tell a client why its stream stops and close it
+const endStream = (userId, client, type) => {
+  removeClient(userId, client);
+  clearTimeout(client.expiryTimer);
+  write(client, type, {});
+  client.res.end();
+};
+
+/**
+ * Reload the users and sessions behind the open streams. Streams of a
+ * deactivated user or a revoked session are closed, and role or
+ * permission changes apply to the staff alerts sent afterwards
+ * @returns {Promise<void>}
+ */
+const refreshClients = async () => {
+  if (clients.size === 0) return;
+
+  const all = [];
+  clients.forEach((userClients, userId) => userClients.forEach(client => all.push({ userId, client })));
+
+  const sessionIds = all.map(({ client }) => client.sessionId).filter(Boolean);
+  const [users, sessions] = await Promise.all([
+    User.find({ _id: { $in: [...clients.keys()] }, isActive: true }).select('-password'),
+    sessionIds.length ? Session.find({ _id: { $in: sessionIds }, revokedAt: null }).select('_id') : []
+  ]);
+
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const activeSessions = new Set(sessions.map(session => session._id.toString()));
+
+  all.forEach(({ userId, client }) => {
+    const user = usersById.get(userId);
+
+    if (!user || (client.sessionId && !activeSessions.has(client.sessionId))) {
+      endStream(userId, client, 'session_ended');
+      return;
+    }
+
+    client.user = user;
+  });
+};
+
+const beat = async () => {
+  try {
+    await refreshClients();
+  } catch (error) {
+    console.error('🚨 Failed to refresh realtime clients:', error.message);
+  }
+
+  clients.forEach(userClients => userClients.forEach(({ res: stream }) => stream.write(': ping\n\n')));
+};
+
+/**
+ * Start relaying events from the other instances
+ */
+const startRealtime = () => {
+  getAdapter().start();
+  console.log(`📡 Realtime events via the ${adapterName()} adapter`);
+};
+
+/**
+ * Keep an SSE response open and send it the events of its user
+ * @param {Object} req - Authenticated request
+ * @param {Object} res - Response
+ */
+const openStream = (req, res) => {
+  const client = { user: req.user, sessionId: req.sessionId ? req.sessionId.toString() : null, res };
+  const userId = req.user._id.toString();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  write(client, 'ready', { userId });
+
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(client);
+
+  if (!heartbeat) {
+    // The user and session are checked again on every beat
+    heartbeat = setInterval(beat, HEARTBEAT_MS);
+    heartbeat.unref();
+  }
+
+  // The stream lives no longer than the access token it was opened with,
+  // the client reconnects with a refreshed one
+  if (req.tokenExpiresAt) {
+    client.expiryTimer = setTimeout(
+      () => endStream(userId, client, 'token_expired'),
+      Math.max(req.tokenExpiresAt.getTime() - Date.now(), 0)
+    );
+    client.expiryTimer.unref();
+  }
+
+  req.on('close', () => {
+    clearTimeout(client.expiryTimer);
+    removeClient(userId, client);
+  });
+};
+
+// Failures are logged, real-time delivery never breaks the request sending it
+const publish = (event) => getAdapter().publish(event).catch(error => {
+  console.error(`🚨 Failed to publish ${event.type} event:`, error.message);
+});
+
+/**
+ * Push an event to every connected client of a user
+ * @param {Object|string} userOrId - User document or id
+ * @param {string} type - Event name, such as 'notification' or 'message'
+ * @param {Object} data - Event payload
+ * @returns {Promise<void>}
+ */
+const publishToUser = (userOrId, type, data) =>
+  publish({ user: userOrId._id || userOrId, permission: null, type, data });
+
+/**
+ * Push an alert to every connected staff member holding a permission
+ * @param {string} permission - Permission such as 'products:verify'
+ * @param {Object} alert - { kind, ... } payload of the admin_alert event
+ * @returns {Promise<void>}
+ */
+const alertStaff = (permission, alert) =>
+  publish({ user: null, permission, type: 'admin_alert', data: alert });
+
+module.exports = {
+  startRealtime,
+  openStream,
+  publishToUser,
+  alertStaff
+};
@@ -0,0 +1,51 @@
+/**
+ * Get the client IP address. X-Forwarded-For is only honoured for the
+ * proxies trusted by the 'trust proxy' setting, the leftmost entries can be
+ * sent by the client itself
+ * @param {Object} req - Express request
+ * @returns {string|null} - Client IP address
+ */
+const getClientIp = (req) => req.ip || (req.connection && req.connection.remoteAddress) || null;
+
+// Query string parameters carrying credentials (the SSE stream token)
+const SECRET_QUERY_PARAMS = /([?&](?:access_token)=)[^&#]*/gi;
+
+/**
+ * URL of a request with its credentials hidden, for logs
+ * @param {Object} req - Express request
+ * @returns {string} - URL such as /realtime/stream?access_token=[redacted]
+ */
+const getLoggableUrl = (req) =>
+  String(req.originalUrl || req.url || '').replace(SECRET_QUERY_PARAMS, '$1[redacted]');
+
+/**
+ * Build a short, human readable device label from a User-Agent header
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} - e.g. "Chrome on Android"
+ */
+const getDeviceLabel = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  let os = 'Unknown OS';
+  if (/iPhone|iPad|iPod/i.test(userAgent)) os = 'iOS';
+  else if (/Android/i.test(userAgent)) os = 'Android';
+  else if (/Windows/i.test(userAgent)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/i.test(userAgent)) os = 'macOS';
+  else if (/Linux/i.test(userAgent)) os = 'Linux';
+
+  let client = 'Unknown browser';
+  if (/Edg\//i.test(userAgent)) client = 'Edge';
+  else if (/OPR\/|Opera/i.test(userAgent)) client = 'Opera';
+  else if (/Firefox\//i.test(userAgent)) client = 'Firefox';
+  else if (/Chrome\//i.test(userAgent)) client = 'Chrome';
+  else if (/Safari\//i.test(userAgent)) client = 'Safari';
+  else if (/okhttp|Dart|Expo|CFNetwork/i.test(userAgent)) client = 'Moutouri app';
+
+  return `${client} on ${os}`;
+};
+
+module.exports = {
+  getClientIp,
+  getDeviceLabel,
+  getLoggableUrl
+};
@@ -0,0 +1,118 @@
+const SavedSearch = require('../models/savedSearch');
+const SavedSearchAlert = require('../models/savedSearchAlert');
+const Category = require('../models/category');
+const Product = require('../models/product');
+const { buildProductFilter } = require('./productQuery');
+const { notifyUser } = require('./notify');
+const { listingEvents } = require('./events');
+const { clientUrl } = require('../config/mailer');
+const { escapeHtml } = require('./text');
+
+/**
+ * Link that turns off the alerts of a saved search
+ * @param {Object} savedSearch - SavedSearch document
+ * @returns {string} - Absolute URL
+ */
+const unsubscribeUrl = (savedSearch) =>
+  clientUrl(`/saved-searches/unsubscribe/${savedSearch.getUnsubscribeToken()}`);
+
+/**
+ * Record that a listing matched a saved search
+ * @returns {Promise<boolean>} - False when the listing was already recorded
+ */
+const recordMatch = async (savedSearch, product) => {
+  try {
+    const result = await SavedSearchAlert.updateOne(
+      { savedSearch: savedSearch._id, product: product._id },
+      { $setOnInsert: { user: savedSearch.user, sentAt: null } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Matched concurrently by another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const sendInstantAlert = async (savedSearch, product) => {
+  const productUrl = clientUrl(`/products/${product._id}`);
+  const stopUrl = unsubscribeUrl(savedSearch);
+  const price = `${product.price} TND`;
+
+  await notifyUser(savedSearch.user, {
+    type: 'saved_search_match',
+    title: `Nouvelle annonce pour "${savedSearch.name}"`,
+    body: `${product.title} - ${price}`,
+    data: { savedSearchId: savedSearch._id, productId: product._id },
+    email: {
+      subject: `Moutouri - Nouvelle annonce pour "${savedSearch.name}"`,
+      text: `Une nouvelle annonce correspond à votre recherche "${savedSearch.name}" :\n\n${product.title} - ${price}\n${productUrl}\n\nNe plus recevoir d'alertes pour cette recherche :\n${stopUrl}`,
+      html: `<p>Une nouvelle annonce correspond à votre recherche "${escapeHtml(savedSearch.name)}" :</p><p><a href="${productUrl}">${escapeHtml(product.title)}</a> - ${price}</p><p><a href="${stopUrl}">Ne plus recevoir d'alertes pour cette recherche</a></p>`
+    }
+  });
+
+  await SavedSearchAlert.updateOne(
+    { savedSearch: savedSearch._id, product: product._id },
+    { $set: { sentAt: new Date() } }
+  );
+};
+
+/**
+ * Find the saved searches a newly published listing matches, alert the
+ * instant ones and queue it for the daily digests
+ * @param {Object} product - Published product document
+ * @returns {Promise<number>} - Number of searches matched for the first time
+ */
+const matchPublishedListing = async (product) => {
+  const sellerId = product.user && product.user._id ? product.user._id : product.user;
+  const categoryId = product.category && product.category._id ? product.category._id : product.category;
+
+  // Only searches on the listing's category or one of its parents, or on
+  // any category, can match
+  const category = await Category.findById(categoryId).select('ancestors');
+  const categoryIds = [categoryId, ...(category ? category.ancestors : [])];
+
+  const searches = SavedSearch.find({
+    frequency: { $ne: 'off' },
+    user: { $ne: sellerId },
+    $or: [
+      { categories: { $size: 0 } },
+      { categories: { $in: categoryIds } }
+    ]
+  }).cursor();
+
+  let matchedCount = 0;
+
+  for await (const savedSearch of searches) {
+    try {
+      const filter = await buildProductFilter(savedSearch.filters);
+      const matches = await Product.exists({ $and: [{ _id: product._id }, filter] });
+      if (!matches || !(await recordMatch(savedSearch, product))) continue;
+
+      matchedCount++;
+      if (savedSearch.frequency === 'instant') {
+        await sendInstantAlert(savedSearch, product);
+      }
+    } catch (error) {
+      console.error(`🚨 Failed to match saved search ${savedSearch._id}:`, error.message);
+    }
+  }
+
+  return matchedCount;
+};
+
+// Match every listing published by this process
+const listenForPublishedListings = () => {
+  listingEvents.on('published', (product) => {
+    matchPublishedListing(product).catch(error => {
+      console.error(`🚨 Failed to match listing ${product._id} against saved searches:`, error);
+    });
+  });
+};
+
+module.exports = {
+  unsubscribeUrl,
+  matchPublishedListing,
+  listenForPublishedListings
+};
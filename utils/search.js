@@ -0,0 +1,294 @@
+// Listing search on plain MongoDB.
+//
+// Each listing stores `searchKeys`, a list of prefixed keys computed from its
+// text, and queries are turned into the same keys:
+//   w:<word>     normalized word (accents removed, Arabic transliterated)
+//   p:<sound>    consonant skeleton, so "Béta", "beta" and "بيتا" meet on "p:bt"
+//   d:<variant>  the word with one letter deleted, so a typo of one letter
+//                still matches (symmetric delete)
+// Ranking counts how many query words match and how closely.
+
+const { normalizeKey, escapeRegex } = require('./text');
+
+// Only the first words of long descriptions are indexed
+const MAX_DESCRIPTION_WORDS = 150;
+
+// Words shorter than this get no typo tolerance
+const MIN_TYPO_LENGTH = 4;
+
+// Weights of a query word matching a listing
+const WEIGHTS = {
+  word: 4,
+  prefix: 2,
+  sound: 2,
+  typo: 1
+};
+
+const ARABIC_TO_LATIN = {
+  'ا': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh',
+  'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's',
+  'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': 'a', 'غ': 'gh', 'ف': 'f', 'ق': 'k',
+  'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'و': 'w', 'ي': 'y',
+  'ء': '', 'ڨ': 'g', 'پ': 'p', 'ڤ': 'v'
+};
+
+const ARABIC_LETTER = /[\u0621-\u064a\u067e\u06a4\u06a8]/g;
+const NOT_A_WORD_CHARACTER = /[^a-z0-9\u0621-\u064a\u067e\u06a4\u06a8]+/g;
+
+/**
+ * Lowercase, remove accents and Arabic diacritics, unify Arabic letter
+ * variants and keep only letters and digits
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text, words separated by single spaces
+ */
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  // Arabic diacritics and tatweel
+  .replace(/[\u064b-\u065f\u0670\u0640]/g, '')
+  .replace(/[أإآٱ]/g, 'ا')
+  .replace(/ة/g, 'ه')
+  .replace(/ى/g, 'ي')
+  .replace(/ؤ/g, 'و')
+  .replace(/ئ/g, 'ي')
+  // Arabic-Indic digits
+  .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(NOT_A_WORD_CHARACTER, ' ')
+  .trim();
+
+/**
+ * Write Arabic letters with their closest Latin equivalent
+ * @param {string} word - Normalized word
+ * @returns {string} - Latin word
+ */
+const transliterate = (word) => word.replace(ARABIC_LETTER, letter =>
+  ARABIC_TO_LATIN[letter] !== undefined ? ARABIC_TO_LATIN[letter] : '');
+
+/**
+ * Split text into normalized words. Arabic words are returned both as
+ * written and transliterated.
+ * @param {string} text - Raw text
+ * @returns {string[]} - Words
+ */
+const tokenize = (text) => {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  return words.flatMap(word => {
+    const latin = transliterate(word);
+    return latin && latin !== word ? [word, latin] : [word];
+  });
+};
+
+/**
+ * Consonant skeleton of a Latin word, close for words that sound alike.
+ * Letters missing from Arabic (p, v, g) are mapped to the ones used to
+ * write them.
+ * @param {string} word - Latin word
+ * @returns {string} - Skeleton, empty when too short to be useful
+ */
+const soundKey = (word) => {
+  if (/^\d+$/.test(word) || /[^a-z0-9]/.test(word)) return '';
+
+  const key = word
+    .replace(/ph/g, 'f')
+    .replace(/[sc]h/g, 's')
+    .replace(/([tdkg])h/g, '$1')
+    .replace(/ck|q|c|x/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/p/g, 'b')
+    .replace(/v/g, 'f')
+    .replace(/g/g, 'j')
+    .replace(/[aeiouyw]/g, '')
+    .replace(/(.)\1+/g, '$1');
+
+  return key.length >= 2 ? key : '';
+};
+
+/**
+ * The word with each letter deleted in turn
+ * @param {string} word - Word
+ * @returns {string[]} - Variants
+ */
+const deletionVariants = (word) => {
+  if (word.length < MIN_TYPO_LENGTH || /^\d+$/.test(word)) return [];
+  const variants = new Set();
+  for (let i = 0; i < word.length; i++) {
+    variants.add(word.slice(0, i) + word.slice(i + 1));
+  }
+  return [...variants];
+};
+
+/**
+ * Compute the search fields stored on a listing
+ * @param {Object} product - { title, brand, model, description, location }
+ * @returns {Object} - { searchKeys, searchTitle }
+ */
+const buildSearchFields = ({ title, brand, model, description, location }) => {
+  const keys = new Set();
+
+  // Title, brand and model get sound and typo keys, other text exact words only
+  const mainWords = [
+    ...tokenize(title),
+    ...tokenize(brand),
+    ...tokenize(model),
+    // "MT-07" is also searchable as "mt07"
+    ...[brand, model].map(normalizeKey).filter(Boolean)
+  ];
+
+  mainWords.forEach(word => {
+    keys.add(`w:${word}`);
+    const sound = soundKey(word);
+    if (sound) keys.add(`p:${sound}`);
+    deletionVariants(word).forEach(variant => keys.add(`d:${variant}`));
+  });
+
+  [
+    ...tokenize(description).slice(0, MAX_DESCRIPTION_WORDS),
+    ...tokenize(location)
+  ].forEach(word => keys.add(`w:${word}`));
+
+  return {
+    searchKeys: [...keys],
+    searchTitle: normalizeText(title)
+  };
+};
+
+/**
+ * Keys a query word matches, by kind
+ * @param {string} word - Normalized query word
+ * @returns {Object} - { word, sound, typo }
+ */
+const getWordKeys = (word) => {
+  const sound = soundKey(word);
+  const variants = deletionVariants(word);
+
+  return {
+    word: `w:${word}`,
+    sound: sound ? [`p:${sound}`] : [],
+    // Listing word with one more letter, one less, or one different
+    typo: variants.length > 0
+      ? [`d:${word}`, ...variants.map(variant => `w:${variant}`), ...variants.map(variant => `d:${variant}`)]
+      : []
+  };
+};
+
+/**
+ * Turn a search query into the keys to look up and the words to rank by.
+ * Arabic words also match their transliteration.
+ * @param {string} query - Raw query
+ * @returns {Object|null} - { normalized, words: [{ text, keys, prefix }] }, null for an empty query
+ */
+const parseSearchQuery = (query) => {
+  const normalized = normalizeText(query);
+  if (!normalized) return null;
+
+  const rawWords = [...new Set(normalized.split(' '))].slice(0, 10);
+
+  const words = rawWords.map((raw, index) => {
+    const latin = transliterate(raw);
+    const variants = latin && latin !== raw ? [raw, latin] : [raw];
+    const kinds = variants.map(getWordKeys);
+
+    return {
+      text: raw,
+      keys: {
+        word: kinds.map(kind => kind.word),
+        sound: kinds.flatMap(kind => kind.sound),
+        typo: kinds.flatMap(kind => kind.typo)
+      },
+      // The last word may still be being typed
+      prefix: index === rawWords.length - 1 && raw.length >= 2
+        ? new RegExp(variants.map(variant => `^w:${escapeRegex(variant)}`).join('|'))
+        : null
+    };
+  });
+
+  return { normalized, words };
+};
+
+// Every key a word may match, for the $in lookup
+const allKeys = (word) => [...word.keys.word, ...word.keys.sound, ...word.keys.typo];
+
+/**
+ * Filter matching listings where at least one query word matches
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} - Query filter
+ */
+const anyWordFilter = (parsed) => ({
+  searchKeys: {
+    $in: [
+      ...parsed.words.flatMap(allKeys),
+      ...parsed.words.filter(word => word.prefix).map(word => word.prefix)
+    ]
+  }
+});
+
+/**
+ * Filter matching listings where every query word matches
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} - Query filter
+ */
+const allWordsFilter = (parsed) => ({
+  $and: parsed.words.map(word => ({
+    searchKeys: { $in: word.prefix ? [...allKeys(word), word.prefix] : allKeys(word) }
+  }))
+});
+
+// Aggregation expression: weight of the best way a word matches, 0 if none
+const wordScoreExpression = (word) => {
+  const hasAny = (keys) => ({ $gt: [{ $size: { $setIntersection: ['$searchKeys', keys] } }, 0] });
+  const branches = [
+    { case: hasAny(word.keys.word), then: WEIGHTS.word }
+  ];
+
+  if (word.prefix) {
+    branches.push({
+      case: {
+        $anyElementTrue: [{
+          $map: { input: '$searchKeys', as: 'key', in: { $regexMatch: { input: '$$key', regex: word.prefix } } }
+        }]
+      },
+      then: WEIGHTS.prefix
+    });
+  }
+  if (word.keys.sound.length > 0) branches.push({ case: hasAny(word.keys.sound), then: WEIGHTS.sound });
+  if (word.keys.typo.length > 0) branches.push({ case: hasAny(word.keys.typo), then: WEIGHTS.typo });
+
+  return { $switch: { branches, default: 0 } };
+};
+
+/**
+ * Aggregation stage adding the relevance fields used to rank results:
+ * searchMatchedWords (number of query words found) and searchScore
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} - $addFields stage
+ */
+const relevanceStage = (parsed) => {
+  const scores = parsed.words.map(wordScoreExpression);
+
+  return {
+    $addFields: {
+      searchMatchedWords: { $sum: scores.map(score => ({ $cond: [{ $gt: [score, 0] }, 1, 0] })) },
+      searchScore: {
+        $add: [
+          ...scores,
+          // Listings whose title contains the whole query come first
+          { $cond: [{ $gte: [{ $indexOfCP: [{ $ifNull: ['$searchTitle', ''] }, parsed.normalized] }, 0] }, 5, 0] }
+        ]
+      }
+    }
+  };
+};
+
+module.exports = {
+  normalizeText,
+  transliterate,
+  tokenize,
+  soundKey,
+  deletionVariants,
+  buildSearchFields,
+  parseSearchQuery,
+  anyWordFilter,
+  allWordsFilter,
+  relevanceStage
+};
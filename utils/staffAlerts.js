@@ -0,0 +1,18 @@
+const { listingEvents } = require('./events');
+const { alertStaff } = require('./realtime');
+
+// Alert connected moderators when a listing of this instance is submitted
+const listenForStaffAlerts = () => {
+  listingEvents.on('submitted', (product) => {
+    alertStaff('products:verify', {
+      kind: 'listing_submitted',
+      productId: product._id,
+      title: product.title,
+      submittedAt: product.submittedAt
+    });
+  });
+};
+
+module.exports = {
+  listenForStaffAlerts
+};
@@ -0,0 +1,52 @@
+/**
+ * Escape a user supplied string so it can be used literally in a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape user supplied text before putting it in HTML (emails)
+ * @param {string} value - Raw text
+ * @returns {string} - Text safe to use in HTML content and attribute values
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+
+/**
+ * Parse a numeric query string parameter
+ * @param {string} value - Raw value
+ * @returns {number|undefined} - Number, or undefined when missing or invalid
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Reduce a name to a comparison key: "Yamaha", "YAMAHA" and " yamaha " all
+ * become "yamaha", "MT-07" and "mt 07" become "mt07"
+ * @param {string} value - Raw name
+ * @returns {string} - Comparison key
+ */
+const normalizeKey = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\u0600-\u06ff]/g, '');
+
+module.exports = {
+  escapeHtml,
+  escapeRegex,
+  normalizeKey,
+  toNumber
+};